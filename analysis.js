@@ -0,0 +1,262 @@
+const math = require('mathjs');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const m1helper = require('./mason.js');
+const errors = require('./errors.js');
+const frequency = require('./frequency.js');
+const stability = require('./stability.js');
+const random = require('./random.js');
+
+/**
+ * Parameter sweeps and Monte Carlo tolerance analysis.
+ *
+ * The transfer function (and the loop gain, when a metric needs it) is derived
+ * symbolically once and compiled; every sample only evaluates the compiled
+ * expressions with new parameter values.
+ *
+ * Built-in metrics:
+ *   - dcGain: H(0) (the magnitude when H(0) is not real)
+ *   - bandwidth: first frequency (rad/s) where |H| falls 3 dB below |H(0)|, null if none in the sweep
+ *   - phaseMargin: phase margin of the loop gain in degrees (see stability.js)
+ * A metric can also be a function (model, params) -> number, named after the function;
+ * model.H(w, params) and model.T(w, params) evaluate the transfer function and loop gain.
+ */
+
+const METRICS = {
+  dcGain: (model, params) => {
+    const h = model.H(0, params);
+    if (!isFinite(h.re) || !isFinite(h.im))
+      return null;
+    return Math.abs(h.im) <= 1e-12 * math.abs(h) ? h.re : math.abs(h);
+  },
+
+  bandwidth: (model, params, options) => {
+    const ref = math.abs(model.H(0, params));
+    if (!isFinite(ref) || ref === 0)
+      return null;
+    const target = ref / Math.SQRT2;
+    const below = (w) => math.abs(model.H(w, params)) < target;
+    const w = sweepGrid(options);
+
+    for (let i = 0; i < w.length; i++) {
+      if (!below(w[i]))
+        continue;
+      if (i === 0)
+        return w[0];
+      // Bisect in log frequency between the last point above and the first point below
+      let a = w[i - 1], b = w[i];
+      for (let k = 0; k < 60; k++) {
+        const mid = Math.sqrt(a * b);
+        if (below(mid))
+          b = mid;
+        else
+          a = mid;
+      }
+      return Math.sqrt(a * b);
+    }
+    return null;
+  },
+
+  phaseMargin: (model, params, options) => {
+    const margins = stability.stabilityMargins(w => model.T(w, params), {
+      wStart: options.wStart, wStop: options.wStop, points: options.points
+    });
+    return margins.phaseMargin;
+  }
+};
+
+/**
+ * Derive and compile the transfer function from start to end (and the loop gain)
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param start
+ * @param end
+ * @returns {{tf: {n, d}, H: function (w, params) -> Complex, T: function (w, params) -> Complex}}
+ */
+function createModel(nodes, start, end) {
+  const graph = SignalFlowGraph.from(nodes);
+  const gain = m1helper.calculateNodeGain(start, end, graph);
+  const n = frequency.compileExpression(gain.n);
+  const d = frequency.compileExpression(gain.d);
+  let t = null;
+
+  const scope = (w, params) => Object.assign({}, params, {w, j: math.complex(0, 1), s: math.complex(0, w)});
+
+  return {
+    tf: {n: gain.n, d: gain.d},
+    H: (w, params) => {
+      const sc = scope(w, params);
+      return math.divide(n(sc), d(sc));
+    },
+    T: (w, params) => {
+      // The loop gain is only derived when a metric asks for it
+      if (!t)
+        t = frequency.compileExpression(gain.delta.subtract(1));
+      return t(scope(w, params));
+    }
+  };
+}
+
+/**
+ * @param options - wStart (default 1e-3), wStop (default 1e9), points (default 400)
+ * @returns log frequency grid for the metrics that search over frequency
+ */
+function sweepGrid(options) {
+  return frequency.frequencyGrid({
+    wStart: options.wStart || 1e-3,
+    wStop: options.wStop || 1e9,
+    points: options.points || 400,
+    scale: 'log'
+  });
+}
+
+/**
+ * @param metrics - list of metric names or functions (default ['dcGain'])
+ * @returns list of [name, function]
+ */
+function resolveMetrics(metrics = ['dcGain']) {
+  return metrics.map((metric, i) => {
+    if (typeof metric === 'function')
+      return [metric.name || `metric${i + 1}`, metric];
+    if (!METRICS[metric])
+      throw new errors.SfgError(`Unknown metric ${metric} (expected one of ${Object.keys(METRICS).join(', ')} or a function)`);
+    return [metric, METRICS[metric]];
+  });
+}
+
+/**
+ * Evaluate metrics while one parameter is swept over a range
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param start - start node id
+ * @param end - end node id
+ * @param options - parameter: name of the swept symbol
+ *                  values: list of values, or from, to, steps (default 21) and scale ('linear' (default) or 'log')
+ *                  params: values of the other symbols
+ *                  metrics: list of metric names or functions (default ['dcGain'])
+ *                  wStart, wStop, points: frequency sweep of the bandwidth and phaseMargin metrics
+ * @returns {{parameter, values: [number], metrics: Object.<string, [number]>}}
+ */
+function parameterSweep(nodes, start, end, options = {}) {
+  if (!options.parameter)
+    throw new errors.SfgError('parameterSweep needs the name of the parameter to sweep');
+  if (!options.values && (options.from === undefined || options.to === undefined))
+    throw new errors.SfgError('parameterSweep needs either values or from and to');
+  const values = options.values || frequency.frequencyGrid({
+    wStart: options.from,
+    wStop: options.to,
+    points: options.steps || 21,
+    scale: options.scale || 'linear'
+  });
+
+  const model = createModel(nodes, start, end);
+  const metrics = resolveMetrics(options.metrics);
+  let result = {parameter: options.parameter, values, metrics: {}};
+  metrics.forEach(([name]) => {
+    result.metrics[name] = [];
+  });
+
+  values.forEach((value) => {
+    const params = Object.assign({}, options.params, {[options.parameter]: value});
+    metrics.forEach(([name, metric]) => result.metrics[name].push(metric(model, params, options)));
+  });
+  return result;
+}
+
+/**
+ * Monte Carlo tolerance analysis
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param start - start node id
+ * @param end - end node id
+ * @param options - params: nominal values of the symbols
+ *                  tolerances: {symbol: tolerance} or {symbol: {tolerance, distribution}} where
+ *                    tolerance is relative (0.05 for +-5%) and distribution is 'uniform' (default)
+ *                    or 'gaussian' (the tolerance is then taken as 3 sigma)
+ *                  samples (default 100), seed (default 1)
+ *                  metrics: list of metric names or functions (default ['dcGain'])
+ *                  spec: {metric: {min, max}} - limits used to compute the yield
+ *                  wStart, wStop, points: frequency sweep of the bandwidth and phaseMargin metrics
+ * @returns {{samples: [{params, metrics}], stats: Object.<string, {mean, std, min, max, count, failed}>, yield}}
+ *   yield is the fraction of samples that meet every spec (null without spec); a metric that
+ *   evaluates to null counts as failed
+ */
+function monteCarlo(nodes, start, end, options = {}) {
+  const nominal = options.params || {};
+  const tolerances = options.tolerances || {};
+  const count = options.samples || 100;
+  const next = random.mulberry32(options.seed !== undefined ? options.seed : 1);
+  const normal = random.gaussian(next);
+
+  Object.keys(tolerances).forEach((name) => {
+    if (typeof nominal[name] !== 'number')
+      throw new errors.SfgError(`Parameter ${name} has a tolerance but no nominal value`, {symbol: name});
+  });
+
+  const model = createModel(nodes, start, end);
+  const metrics = resolveMetrics(options.metrics);
+  let samples = [];
+
+  for (let k = 0; k < count; k++) {
+    let params = Object.assign({}, nominal);
+    Object.keys(tolerances).forEach((name) => {
+      const spec = typeof tolerances[name] === 'number' ? {tolerance: tolerances[name]} : tolerances[name];
+      const deviation = spec.distribution === 'gaussian'
+        ? normal() * spec.tolerance / 3
+        : (2 * next() - 1) * spec.tolerance;
+      params[name] = nominal[name] * (1 + deviation);
+    });
+
+    let values = {};
+    metrics.forEach(([name, metric]) => {
+      values[name] = metric(model, params, options);
+    });
+    samples.push({params, metrics: values});
+  }
+
+  let stats = {};
+  metrics.forEach(([name]) => {
+    stats[name] = statistics(samples.map(s => s.metrics[name]));
+  });
+
+  let result = {samples, stats, yield: null};
+  if (options.spec) {
+    const pass = samples.filter(s => Object.keys(options.spec).every((name) => {
+      const value = s.metrics[name];
+      const limits = options.spec[name];
+      return value !== null && value !== undefined
+        && (limits.min === undefined || value >= limits.min)
+        && (limits.max === undefined || value <= limits.max);
+    }));
+    result.yield = samples.length ? pass.length / samples.length : null;
+  }
+  return result;
+}
+
+/**
+ * @param values - list of numbers (null for failed samples)
+ * @returns {{mean, std, min, max, count, failed}}
+ */
+function statistics(values) {
+  const valid = values.filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+  const count = valid.length;
+  if (!count)
+    return {mean: null, std: null, min: null, max: null, count, failed: values.length};
+
+  const mean = valid.reduce((a, b) => a + b, 0) / count;
+  const variance = count > 1 ? valid.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (count - 1) : 0;
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    min: Math.min(...valid),
+    max: Math.max(...valid),
+    count,
+    failed: values.length - count
+  };
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  parameterSweep, monteCarlo, createModel, statistics, METRICS
+};
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Command line entry point
+ *
+ *   node cli.js analyze eqns.txt --from V_n1 --to V_n3
+ *   cat eqns.txt | node cli.js analyze - --format json
+ *
+ * Exit codes: 0 on success, 1 when the equations cannot be read or analysed,
+ * 2 on invalid usage.
+ */
+const fs = require('fs');
+const sfg = require('./sfg.js');
+const equationLoader = require('./equations.js');
+const errors = require('./errors.js');
+
+const USAGE = `Usage: sfg analyze <file|-> [options]
+
+Build the signal flow graph of a set of equations and compute the transfer
+function between two nodes with Mason's rule. Use - to read from stdin.
+
+Options:
+  --from <id>        start node (default: input of the equation file)
+  --to <id>          end node (default: output of the equation file)
+  --format <fmt>     text (default), json, dot or latex
+  --engine <name>    mason (default) or reduction (graph reduction, for large graphs)
+  --param <n>=<v>    give parameter n the value v (e.g. R1=1k); may be repeated,
+                     overrides the parameters of the equation file
+  --loop-gain        also compute the loop gain
+  --normalize        also print the transfer function as polynomials in s with common
+                     factors cancelled (every parameter needs a value)
+  --explain          include the Mason derivation or the reduction steps (text and json)
+  -h, --help         show this message
+`;
+
+const FORMATS = ['text', 'json', 'dot', 'latex'];
+const ENGINES = ['mason', 'reduction'];
+
+class UsageError extends Error {}
+
+/**
+ * @param args - command line arguments (without node and the script name)
+ * @returns parsed options
+ */
+function parseArgs(args) {
+  let opts = {command: null, file: null, from: null, to: null, format: 'text', engine: 'mason', params: {}, loopGain: false, normalize: false, explain: false, help: false};
+  let positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length)
+        throw new UsageError(`${arg} expects a value`);
+      return args[++i];
+    };
+
+    switch (arg) {
+      case '--from': opts.from = value(); break;
+      case '--to': opts.to = value(); break;
+      case '--format': opts.format = value(); break;
+      case '--engine': opts.engine = value(); break;
+      case '--param': {
+        const param = value().match(/^([A-Za-z_]\w*)=(.+)$/);
+        const number = param ? equationLoader.parseValue(param[2]) : NaN;
+        if (isNaN(number))
+          throw new UsageError('--param expects name=value, e.g. R1=1k');
+        opts.params[param[1]] = number;
+        break;
+      }
+      case '--loop-gain': opts.loopGain = true; break;
+      case '--normalize': opts.normalize = true; break;
+      case '--explain': opts.explain = true; break;
+      case '-h':
+      case '--help': opts.help = true; break;
+      default:
+        if (arg.startsWith('-') && arg !== '-')
+          throw new UsageError(`Unknown option ${arg}`);
+        positional.push(arg);
+    }
+  }
+
+  if (opts.help)
+    return opts;
+  [opts.command, opts.file] = positional;
+  if (opts.command !== 'analyze')
+    throw new UsageError(opts.command ? `Unknown command ${opts.command}` : 'Missing command');
+  if (!opts.file)
+    throw new UsageError('Missing equation file (use - for stdin)');
+  if (positional.length > 2)
+    throw new UsageError(`Unexpected argument ${positional[2]}`);
+  if (!FORMATS.includes(opts.format))
+    throw new UsageError(`Unknown format ${opts.format} (expected one of ${FORMATS.join(', ')})`);
+  if (!ENGINES.includes(opts.engine))
+    throw new UsageError(`Unknown engine ${opts.engine} (expected one of ${ENGINES.join(', ')})`);
+  return opts;
+}
+
+function readEquations(file) {
+  if (file === '-')
+    return equationLoader.parseEquations(fs.readFileSync(0, 'utf8'), {file: '<stdin>'});
+  return equationLoader.loadEquations(file);
+}
+
+/**
+ * Run the analysis and format the result
+ *
+ * @param opts - parsed options
+ * @returns {string} output to print
+ */
+function analyze(opts) {
+  const input = readEquations(opts.file);
+  const start = opts.from || input.input;
+  const end = opts.to || input.output;
+  if (!start || !end)
+    throw new UsageError('Start and end nodes are required (--from/--to or input/output in the equation file)');
+
+  const params = Object.assign({}, input.params, opts.params);
+  let graph;
+  try {
+    graph = sfg.computeSFG(input.equations, {nodes: [start, end]});
+  } catch (e) {
+    // computeSFG only knows the position of the equation in the list
+    throw equationLoader.locateError(e, input.locations);
+  }
+  if (Object.keys(params).length)
+    graph = sfg.bindParameters(graph, params);
+  if (opts.format === 'dot')
+    return sfg.toDot(graph);
+
+  const explain = opts.explain || opts.format === 'latex';
+  const tf = opts.engine === 'reduction'
+    ? sfg.computeReduction(graph, start, end, {log: opts.explain})
+    : sfg.computeMasons(graph, start, end, {explain});
+  const loopGain = opts.loopGain ? sfg.computeLoopGain(graph) : null;
+  const normalized = opts.normalize ? sfg.toRational(tf) : null;
+
+  if (opts.format === 'latex')
+    return sfg.derivationToLatex(tf, {start, end});
+
+  if (opts.format === 'json') {
+    let out = {
+      start,
+      end,
+      n: tf.n.toString(),
+      d: tf.d.toString(),
+      method: tf.method,
+      bode: tf.bode
+    };
+    if (loopGain)
+      out.loopGain = {
+        t: loopGain.t.toString(),
+        bode: {magnitude: String(loopGain.bode.magnitude), phase: String(loopGain.bode.phase)}
+      };
+    if (normalized)
+      out.normalized = normalized;
+    if (tf.derivation)
+      out.derivation = tf.derivation;
+    if (tf.steps)
+      out.steps = tf.steps;
+    return JSON.stringify(out, null, 2) + '\n';
+  }
+
+  let lines = [
+    `${end}/${start} = (${tf.n.toString()}) / (${tf.d.toString()})`,
+    `bode magnitude: ${tf.bode.magnitude}`,
+    `bode phase: ${tf.bode.phase}`
+  ];
+  if (normalized) {
+    lines.push(`${end}/${start} = (${normalized.n}) / (${normalized.d})`);
+    lines.push(`order: ${normalized.order}, dc gain: ${normalized.dcGain}`);
+  }
+  if (loopGain) {
+    lines.push(`loop gain magnitude: ${loopGain.bode.magnitude}`);
+    lines.push(`loop gain phase: ${loopGain.bode.phase}`);
+  }
+  if (tf.derivation)
+    lines.push('', sfg.derivationToMarkdown(tf));
+  if (tf.steps) {
+    lines.push('', 'Reduction steps:');
+    tf.steps.forEach((step, i) => lines.push(`${i + 1}. ${step.text}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param args - command line arguments (without node and the script name)
+ * @param io - stdout/stderr streams (defaults to the process streams)
+ * @returns {number} exit code
+ */
+function main(args, io = {stdout: process.stdout, stderr: process.stderr}) {
+  let opts;
+  try {
+    opts = parseArgs(args);
+  } catch (e) {
+    if (!(e instanceof UsageError))
+      throw e;
+    io.stderr.write(`sfg: ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (opts.help) {
+    io.stdout.write(USAGE);
+    return 0;
+  }
+
+  try {
+    io.stdout.write(analyze(opts));
+    return 0;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      io.stderr.write(`sfg: ${e.message}\n`);
+      return 2;
+    }
+    if (e instanceof errors.SfgError)
+      io.stderr.write(`sfg: ${e.message}\n`);
+    else
+      io.stderr.write(`sfg: internal error: ${e.stack || e.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  main, parseArgs
+};
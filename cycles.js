@@ -0,0 +1,217 @@
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+
+/**
+ * Enumerate every elementary circuit (loop) of the graph exactly once using
+ * Johnson's algorithm ("Finding all the elementary circuits of a directed graph", 1975).
+ *
+ * Johnson's algorithm works on node sequences, so it is run on the graph with
+ * parallel edges collapsed and self-loops removed. Each node circuit is then
+ * expanded into one loop per combination of parallel edges (e.g. ab and ab_1),
+ * and every self-loop edge is reported as a loop of its own.
+ *
+ * Every loop is returned in its canonical rotation - starting with the edge
+ * that leaves the lexicographically smallest node id - and carries an id
+ * built from its edge ids, so the same loop always gets the same id no matter
+ * the order the nodes were added in.
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @returns list of loops, each a list of edges with an additional id property, sorted by id
+ */
+function elementaryCircuits(nodes) {
+  const graph = SignalFlowGraph.from(nodes);
+  const ids = graph.nodeIds();
+  const index = new Map(ids.map((id, i) => [id, i]));
+  let loops = [];
+
+  // Successor lists by node index - parallel edges and self-loops are collapsed/dropped
+  const succ = ids.map((id) => {
+    const next = new Set();
+    graph.outgoingEdges(id).forEach((e) => {
+      if (e.endNode !== id && index.has(e.endNode))
+        next.add(index.get(e.endNode));
+    });
+    return [...next];
+  });
+
+  graph.toArray().forEach((node) => {
+    node.outgoingEdges.forEach((e) => {
+      if (e.endNode === node.id)
+        loops.push([e]);
+    });
+  });
+
+  const blocked = new Array(ids.length).fill(false);
+  const blockedMap = ids.map(() => new Set());
+  let stack = [];
+  let s, component;
+
+  const unblock = (u) => {
+    blocked[u] = false;
+    blockedMap[u].forEach((w) => {
+      blockedMap[u].delete(w);
+      if (blocked[w])
+        unblock(w);
+    });
+  };
+
+  const circuit = (v) => {
+    let found = false;
+    stack.push(v);
+    blocked[v] = true;
+
+    succ[v].forEach((w) => {
+      if (!component.has(w))
+        return;
+      if (w === s) {
+        expandCircuit(graph, stack.map(i => ids[i])).forEach(l => loops.push(l));
+        found = true;
+      } else if (!blocked[w] && circuit(w)) {
+        found = true;
+      }
+    });
+
+    if (found) {
+      unblock(v);
+    } else {
+      succ[v].forEach((w) => {
+        if (component.has(w))
+          blockedMap[w].add(v);
+      });
+    }
+    stack.pop();
+    return found;
+  };
+
+  for (s = 0; s < ids.length; s++) {
+    // Only look at circuits whose smallest node index is s
+    component = strongComponentOf(s, succ);
+    if (component.size < 2)
+      continue;
+
+    component.forEach((i) => {
+      blocked[i] = false;
+      blockedMap[i].clear();
+    });
+    circuit(s);
+  }
+
+  loops = loops.map(canonicalLoop);
+  loops.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return loops;
+}
+
+/**
+ * Find the strongly connected component containing node s in the sub-graph
+ * induced by the nodes with index >= s (Tarjan's algorithm, rooted at s)
+ *
+ * @param s - node index
+ * @param succ - successor lists by node index
+ * @returns {Set} node indices of the component
+ */
+function strongComponentOf(s, succ) {
+  const order = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  let counter = 0;
+  let result = new Set();
+
+  const visit = (v) => {
+    order.set(v, counter);
+    low.set(v, counter);
+    counter++;
+    stack.push(v);
+    onStack.add(v);
+
+    succ[v].forEach((w) => {
+      if (w < s)
+        return;
+      if (!order.has(w)) {
+        visit(w);
+        low.set(v, Math.min(low.get(v), low.get(w)));
+      } else if (onStack.has(w)) {
+        low.set(v, Math.min(low.get(v), order.get(w)));
+      }
+    });
+
+    if (low.get(v) === order.get(v)) {
+      const members = new Set();
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        members.add(w);
+      } while (w !== v);
+      if (members.has(s))
+        result = members;
+    }
+  };
+
+  visit(s);
+  return result;
+}
+
+/**
+ * Expand a circuit given as a node sequence into every loop that can be built
+ * from the (possibly parallel) edges between consecutive nodes
+ *
+ * @param graph
+ * @param nodeIds - node ids of the circuit, without repeating the first node
+ * @returns list of loops (list of edges)
+ */
+function expandCircuit(graph, nodeIds) {
+  let loops = [[]];
+
+  nodeIds.forEach((id, i) => {
+    const next = nodeIds[(i + 1) % nodeIds.length];
+    const edges = graph.outgoingEdges(id).filter(e => e.endNode === next);
+    const expanded = [];
+    loops.forEach((l) => {
+      edges.forEach(e => expanded.push(l.concat([e])));
+    });
+    loops = expanded;
+  });
+
+  return loops;
+}
+
+/**
+ * Rotate a loop so it starts at its smallest node id and attach the loop id
+ *
+ * @param loop - list of edges forming a cycle
+ * @returns rotated copy of the loop with an id property
+ */
+function canonicalLoop(loop) {
+  let first = 0;
+  loop.forEach((e, i) => {
+    if (e.startNode < loop[first].startNode)
+      first = i;
+  });
+
+  const rotated = loop.slice(first).concat(loop.slice(0, first));
+  rotated.id = loopId(rotated);
+  return rotated;
+}
+
+/**
+ * @param loop - list of edges in canonical rotation
+ * @returns {string} loop id - the edge ids joined with '|'
+ */
+function loopId(loop) {
+  return loop.map(e => e.id).join('|');
+}
+
+/**
+ * @param loop - list of edges
+ * @returns list of the node ids the loop passes through
+ */
+function loopNodes(loop) {
+  return loop.map(e => e.startNode);
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  elementaryCircuits, loopId, loopNodes
+};
@@ -15,7 +15,10 @@ function Edge (weight, startNode, endNode) {
 };
 
 Edge.prototype.copy = function() {
-  return new Edge(this.weight, this.startNode, this.endNode);
+  let copy = new Edge(this.weight, this.startNode, this.endNode);
+  // Keep unique ids given to parallel edges (e.g. ab_1)
+  copy.id = this.id;
+  return copy;
 };
 
 Node.prototype.copy = function() {
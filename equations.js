@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const errors = require('./errors.js');
+
+/**
+ * Loader for equation files.
+ *
+ * One equation per line. Everything after a # is a comment and blank lines are
+ * ignored. The header lines input, output, param and include are directives;
+ * they may also be written with a leading dot (.input, .param, ...):
+ *
+ *   # amplifier.eqn
+ *   input V_n1               default start node
+ *   output V_n3              default end node
+ *   param C1 = 10            parameter with an (optional) engineering suffix
+ *   include common.eqn       path relative to the including file
+ *
+ *   R1 = 1k                  a value with a suffix binds a parameter too
+ *   V_n1 = 8
+ *   V_n2 = DPI_n2*ISC_n2
+ *   DPI_n2 = 545.45
+ *   ISC_n2 = V_n1/R1 + V_n3/R3
+ *
+ * A plain name = value line is only a parameter when the value carries a
+ * suffix: V_n1 = 8 stays an equation (it sets the value of a source node), so
+ * a parameter without a unit is written with param.
+ *
+ * Engineering suffixes follow SPICE and are case-insensitive:
+ * f, p, n, u (or µ), m (milli), k, meg, g, t, and mil. Letters after the
+ * suffix are ignored, so 10uF and 1kohm are accepted.
+ *
+ * Directives may be declared once; declaring input or output again with a
+ * different node, or a parameter twice with different values, is an error.
+ * Problems are reported as an EquationParseError whose message starts with file:line;
+ * locateError does the same for errors raised later on the loaded equations.
+ */
+
+const DIRECTIVES = ['input', 'output', 'param', 'include'];
+
+const SUFFIXES = {
+  f: 1e-15, p: 1e-12, n: 1e-9, u: 1e-6, 'µ': 1e-6, m: 1e-3, mil: 25.4e-6,
+  k: 1e3, meg: 1e6, g: 1e9, t: 1e12
+};
+
+/**
+ * Parse a number with an optional engineering suffix (1k, 2.2meg, 10uF, 1e-3)
+ *
+ * @param str
+ * @returns {number} or NaN if the string is not a valid value
+ */
+function parseValue(str) {
+  const match = matchValue(str);
+  if (!match)
+    return NaN;
+
+  const scale = match[2] ? SUFFIXES[match[2].toLowerCase()] : 1;
+  // Round off the binary noise of the scaling (10u -> 1e-5, not 9.999999999999999e-6)
+  return Number((Number(match[1]) * scale).toPrecision(15));
+}
+
+function matchValue(str) {
+  return str.trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(meg|mil|[fpnuµmkgt])?[a-zΩ]*$/i);
+}
+
+/**
+ * Give an EquationParseError raised on the loaded equations (e.g. by computeSFG,
+ * which only knows the position in the list) the file and line the equation was
+ * read from
+ *
+ * @param error - any error; only EquationParseErrors with a known index are changed
+ * @param locations - locations from parseEquations / loadEquations
+ * @returns the error to report
+ */
+function locateError(error, locations) {
+  if (!(error instanceof errors.EquationParseError) || error.file || !locations[error.index])
+    return error;
+
+  const {file, line} = locations[error.index];
+  return new errors.EquationParseError(error.reason, {index: error.index, equation: error.equation, file, line});
+}
+
+function fileError(file, line, message) {
+  return new errors.EquationParseError(message, line ? {file, line} : {file});
+}
+
+/**
+ * Parse the text of an equation file
+ *
+ * @param text - file contents
+ * @param options - file: name used in error messages (default '<input>')
+ *                  baseDir: directory .include paths are relative to (default cwd)
+ *                  path: path of the file, used to detect recursive includes
+ * @returns {{equations: [string], locations: [{file, line}], input, output, params: {}}}
+ *   locations[i] is where equations[i] was read from
+ */
+function parseEquations(text, options = {}) {
+  let result = {equations: [], locations: [], input: null, output: null, params: {}};
+  let declared = {};
+  const stack = options.path ? [path.resolve(options.path)] : [];
+  parseInto(result, declared, text, options.file || '<input>', options.baseDir || process.cwd(), stack);
+  return result;
+}
+
+/**
+ * Load an equation file (and the files it includes)
+ *
+ * @param file - path of the equation file
+ * @returns {{equations: [string], locations: [{file, line}], input, output, params: {}}}
+ */
+function loadEquations(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw fileError(file, 0, `cannot read file (${e.code || e.message})`);
+  }
+  return parseEquations(text, {file, path: file, baseDir: path.dirname(path.resolve(file))});
+}
+
+function parseInto(result, declared, text, file, baseDir, includeStack) {
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((raw, i) => {
+    const lineNo = i + 1;
+    const hash = raw.indexOf('#');
+    const line = (hash === -1 ? raw : raw.slice(0, hash)).trim();
+    if (line === '')
+      return;
+
+    if (isDirective(line)) {
+      parseDirective(result, declared, line, file, lineNo, baseDir, includeStack);
+      return;
+    }
+
+    const sides = line.split('=');
+    if (sides.length !== 2 || sides[0].trim() === '' || sides[1].trim() === '')
+      throw fileError(file, lineNo, `expected an equation of the form lhs = rhs, got "${line}"`);
+
+    const binding = matchValue(sides[1]);
+    if (binding && binding[2] && /^[A-Za-z_]\w*$/.test(sides[0].trim())) {
+      parseDirective(result, declared, `param ${line}`, file, lineNo, baseDir, includeStack);
+      return;
+    }
+
+    result.equations.push(line);
+    result.locations.push({file, line: lineNo});
+  });
+}
+
+/**
+ * @param line - comment stripped, trimmed line
+ * @returns true for a directive line: .anything, or input/output/include/param
+ *   followed by an argument (and, except for param, no =, so an equation like
+ *   input = x is still an equation)
+ */
+function isDirective(line) {
+  if (line.startsWith('.'))
+    return true;
+
+  const match = line.match(/^(\w+)\s+(.*)$/);
+  if (!match || !DIRECTIVES.includes(match[1].toLowerCase()))
+    return false;
+  return match[1].toLowerCase() === 'param' ? /^[A-Za-z_]\w*\s*=/.test(match[2]) : !match[2].includes('=');
+}
+
+function parseDirective(result, declared, line, file, lineNo, baseDir, includeStack) {
+  const match = line.match(/^\.?(\w+)\s*(.*)$/);
+  const name = match ? match[1].toLowerCase() : '';
+  const arg = match ? match[2].trim() : '';
+  const where = `${file}:${lineNo}`;
+
+  const declare = (key, value) => {
+    if (declared[key] && declared[key].value !== value)
+      throw fileError(file, lineNo, `${key} already declared as ${declared[key].value} at ${declared[key].where}`);
+    declared[key] = {value, where};
+  };
+
+  switch (name) {
+    case 'input':
+    case 'output':
+      if (!/^\S+$/.test(arg))
+        throw fileError(file, lineNo, `${name} expects a single node id`);
+      declare(name, arg);
+      result[name] = arg;
+      break;
+
+    case 'param': {
+      const param = arg.match(/^([A-Za-z_]\w*)\s*=\s*(\S+)$/);
+      if (!param)
+        throw fileError(file, lineNo, 'param expects name = value');
+      const value = parseValue(param[2]);
+      if (isNaN(value))
+        throw fileError(file, lineNo, `invalid value "${param[2]}" for parameter ${param[1]}`);
+      declare(`parameter ${param[1]}`, value);
+      result.params[param[1]] = value;
+      break;
+    }
+
+    case 'include': {
+      if (arg === '')
+        throw fileError(file, lineNo, 'include expects a file name');
+      const target = path.resolve(baseDir, arg);
+      if (includeStack.includes(target))
+        throw fileError(file, lineNo, `recursive include of ${arg}`);
+
+      let text;
+      try {
+        text = fs.readFileSync(target, 'utf8');
+      } catch (e) {
+        throw fileError(file, lineNo, `cannot include ${arg} (${e.code || e.message})`);
+      }
+      parseInto(result, declared, text, path.relative(process.cwd(), target), path.dirname(target),
+        includeStack.concat([target]));
+      break;
+    }
+
+    default:
+      throw fileError(file, lineNo, `unknown directive "${line.split(/\s/)[0]}"`);
+  }
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  loadEquations, parseEquations, parseValue, locateError
+};
@@ -0,0 +1,92 @@
+/**
+ * Errors thrown by the public API.
+ *
+ * All of them extend SfgError, so callers can catch that one class and report
+ * error.message to the user. Each error also carries the offending node id,
+ * edge id or equation as properties.
+ */
+
+/**
+ * Base class of every error thrown by this library
+ */
+class SfgError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * A node id passed to the API is not part of the graph
+ *
+ * Properties: nodeId
+ */
+class UnknownNodeError extends SfgError {
+  constructor(nodeId, message) {
+    super(message || `Unknown node ${nodeId}`, {nodeId});
+  }
+}
+
+/**
+ * An equation could not be parsed or turned into graph edges
+ *
+ * Properties: index (position in the list of equations), equation (the text),
+ * file and line (when read from an equation file) - whichever are known - and
+ * reason (the message without the location prefix)
+ */
+class EquationParseError extends SfgError {
+  constructor(message, details = {}) {
+    let where = '';
+    if (details.file)
+      where = details.line ? `${details.file}:${details.line}: ` : `${details.file}: `;
+    else if (details.index !== undefined)
+      where = `Equation ${details.index}${details.equation ? ` (${details.equation})` : ''}: `;
+    super(`${where}${message}`, details);
+    this.reason = message;
+  }
+}
+
+/**
+ * The graph is structurally invalid - e.g. an edge points at a node that does
+ * not exist, or two nodes/edges share an id
+ *
+ * Properties: nodeId and/or edgeId, errors (list of messages, when several
+ * problems were found at once)
+ */
+class InconsistentGraphError extends SfgError {}
+
+/**
+ * There is no forward path between the start and end node, so Mason's rule
+ * has nothing to sum
+ *
+ * Properties: start, end
+ */
+class NoForwardPathError extends SfgError {
+  constructor(start, end) {
+    super(`No forward path from ${start} to ${end}`, {start, end});
+  }
+}
+
+/**
+ * An expression could not be evaluated numerically, usually because a symbol
+ * has no value
+ *
+ * Properties: expression, symbol (the unbound symbol, when known)
+ */
+class EvaluationError extends SfgError {}
+
+/**
+ * A transfer function disagrees with the direct solution of the linear system
+ *
+ * Properties: start, end, verification (the report of verifyTransferFunction)
+ */
+class VerificationError extends SfgError {}
+
+/*
+ * Export error classes
+ */
+module.exports = {
+  SfgError, UnknownNodeError, EquationParseError, InconsistentGraphError, NoForwardPathError, EvaluationError,
+  VerificationError
+};
@@ -0,0 +1,219 @@
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+
+/**
+ * Exporters that draw the graph produced by computeSFG.
+ *
+ * Source nodes - nodes without incoming edges, such as the y1<i>/y2<i> constant
+ * nodes computeSFG generates - are styled differently from the other nodes.
+ * A forward path or loop can be highlighted with options.highlight, which takes
+ * either a list of edges (as returned by findAllLoops or in a derivation) or a
+ * list of edge ids.
+ */
+
+const HIGHLIGHT_COLOUR = '#d62728';
+const SOURCE_FILL = '#dbe9f6';
+
+function highlightedEdges(highlight) {
+  let ids = new Set();
+  (highlight || []).forEach((e) => {
+    ids.add(typeof e === 'string' ? e : e.id);
+  });
+  return ids;
+}
+
+function isSource(graph, id) {
+  return graph.incomingEdges(id).length === 0;
+}
+
+function quote(str) {
+  return `"${String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Emit the graph in Graphviz DOT format
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param options - name: graph name (default 'SFG')
+ *                  highlight: edges (or edge ids) of a forward path or loop to highlight
+ *                  rankdir: DOT rank direction (default 'LR')
+ * @returns {string}
+ */
+function toDot(nodes, options = {}) {
+  const graph = SignalFlowGraph.from(nodes);
+  const highlight = highlightedEdges(options.highlight);
+  let lines = [];
+
+  lines.push(`digraph ${quote(options.name || 'SFG')} {`);
+  lines.push(`  rankdir=${options.rankdir || 'LR'};`);
+  lines.push('  node [shape=circle, fontname="Helvetica"];');
+  lines.push('  edge [fontname="Helvetica"];');
+
+  graph.toArray().forEach((n) => {
+    let attrs = [`label=${quote(n.value !== null && n.value !== undefined ? `${n.id}\n${n.value}` : n.id)}`];
+    if (isSource(graph, n.id))
+      attrs.push('shape=box', 'style=filled', `fillcolor=${quote(SOURCE_FILL)}`);
+    if (n.outgoingEdges.some(e => highlight.has(e.id)) || graph.incomingEdges(n.id).some(e => highlight.has(e.id)))
+      attrs.push(`color=${quote(HIGHLIGHT_COLOUR)}`, 'penwidth=2');
+    lines.push(`  ${quote(n.id)} [${attrs.join(', ')}];`);
+  });
+
+  graph.edges.forEach((e) => {
+    let attrs = [`label=${quote(e.weight)}`, `id=${quote(e.id)}`];
+    if (highlight.has(e.id))
+      attrs.push(`color=${quote(HIGHLIGHT_COLOUR)}`, `fontcolor=${quote(HIGHLIGHT_COLOUR)}`, 'penwidth=2');
+    lines.push(`  ${quote(e.startNode)} -> ${quote(e.endNode)} [${attrs.join(', ')}];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Assign every node to a layer (column) for the SVG layout.
+ * Back edges found by a DFS from the sources are ignored so cycles do not
+ * stretch the layout, then each node goes one layer after its furthest predecessor.
+ *
+ * @param graph
+ * @returns {Map<node id, layer>}
+ */
+function layerNodes(graph) {
+  const ids = graph.nodeIds();
+  const state = new Map();   // undefined = unvisited, 1 = on DFS stack, 2 = done
+  const backEdges = new Set();
+  let order = [];
+
+  const visit = (id) => {
+    state.set(id, 1);
+    graph.outgoingEdges(id).forEach((e) => {
+      if (!graph.hasNode(e.endNode))
+        return;
+      if (state.get(e.endNode) === 1)
+        backEdges.add(e.id);
+      else if (!state.has(e.endNode))
+        visit(e.endNode);
+    });
+    state.set(id, 2);
+    order.push(id);
+  };
+
+  ids.filter(id => isSource(graph, id)).forEach(visit);
+  ids.forEach((id) => {
+    if (!state.has(id))
+      visit(id);
+  });
+
+  // order is a post-order, so reversing it gives a topological order of the forward edges
+  let layer = new Map();
+  order.reverse().forEach((id) => {
+    let l = 0;
+    graph.incomingEdges(id).forEach((e) => {
+      if (!backEdges.has(e.id) && layer.has(e.startNode))
+        l = Math.max(l, layer.get(e.startNode) + 1);
+    });
+    layer.set(id, l);
+  });
+  return layer;
+}
+
+function escapeXml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the graph as a standalone SVG document using a built-in layered
+ * layout, so no Graphviz installation is needed.
+ * Forward edges are drawn as straight arrows, edges going back to an earlier
+ * (or the same) layer as arcs below the nodes, and self-loops as small arcs above the node.
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param options - highlight: edges (or edge ids) of a forward path or loop to highlight
+ *                  layerSpacing, rowSpacing, radius: layout sizes in px
+ * @returns {string}
+ */
+function toSvg(nodes, options = {}) {
+  const graph = SignalFlowGraph.from(nodes);
+  const highlight = highlightedEdges(options.highlight);
+  const dx = options.layerSpacing || 160;
+  const dy = options.rowSpacing || 90;
+  const r = options.radius || 24;
+  const margin = 60;
+
+  const layer = layerNodes(graph);
+  let rows = new Map();
+  let pos = new Map();
+  graph.nodeIds().forEach((id) => {
+    const l = layer.get(id);
+    const row = rows.get(l) || 0;
+    rows.set(l, row + 1);
+    pos.set(id, {x: margin + l * dx, y: margin + row * dy});
+  });
+
+  const width = margin * 2 + Math.max(0, ...[...layer.values()]) * dx;
+  const height = margin * 2 + Math.max(1, ...[...rows.values()]) * dy;
+  let out = [];
+
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height + dy}" viewBox="0 0 ${width} ${height + dy}">`);
+  out.push('  <defs>');
+  ['black', HIGHLIGHT_COLOUR].forEach((colour, i) => {
+    out.push(`    <marker id="arrow${i}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">`);
+    out.push(`      <path d="M 0 0 L 10 5 L 0 10 z" fill="${colour}"/>`);
+    out.push('    </marker>');
+  });
+  out.push('  </defs>');
+  out.push('  <g font-family="Helvetica, Arial, sans-serif" font-size="12">');
+
+  graph.edges.forEach((e) => {
+    const a = pos.get(e.startNode);
+    const b = pos.get(e.endNode);
+    if (!a || !b)
+      return;
+    const hl = highlight.has(e.id);
+    const stroke = hl ? HIGHLIGHT_COLOUR : 'black';
+    const attrs = `fill="none" stroke="${stroke}" stroke-width="${hl ? 2.5 : 1.2}" marker-end="url(#arrow${hl ? 1 : 0})"`;
+    let path, lx, ly;
+
+    if (e.startNode === e.endNode) {
+      path = `M ${a.x - r / 2} ${a.y - r + 2} C ${a.x - r} ${a.y - 2.5 * r}, ${a.x + r} ${a.y - 2.5 * r}, ${a.x + r / 2} ${a.y - r + 2}`;
+      lx = a.x;
+      ly = a.y - 2.2 * r;
+    } else if (layer.get(e.endNode) > layer.get(e.startNode)) {
+      const len = Math.hypot(b.x - a.x, b.y - a.y);
+      const ux = (b.x - a.x) / len, uy = (b.y - a.y) / len;
+      path = `M ${a.x + ux * r} ${a.y + uy * r} L ${b.x - ux * r} ${b.y - uy * r}`;
+      lx = (a.x + b.x) / 2;
+      ly = (a.y + b.y) / 2 - 6;
+    } else {
+      const depth = Math.max(a.y, b.y) + dy * 0.6 + Math.abs(a.x - b.x) * 0.15;
+      path = `M ${a.x} ${a.y + r} C ${a.x} ${depth}, ${b.x} ${depth}, ${b.x} ${b.y + r}`;
+      lx = (a.x + b.x) / 2;
+      ly = depth - 0.2 * (depth - Math.max(a.y, b.y));
+    }
+
+    out.push(`    <path id="${escapeXml(e.id)}" d="${path}" ${attrs}/>`);
+    out.push(`    <text x="${lx}" y="${ly}" text-anchor="middle" fill="${stroke}">${escapeXml(e.weight)}</text>`);
+  });
+
+  graph.toArray().forEach((n) => {
+    const p = pos.get(n.id);
+    const hl = n.outgoingEdges.some(e => highlight.has(e.id)) || graph.incomingEdges(n.id).some(e => highlight.has(e.id));
+    const stroke = hl ? HIGHLIGHT_COLOUR : 'black';
+    if (isSource(graph, n.id))
+      out.push(`    <rect x="${p.x - r}" y="${p.y - r}" width="${2 * r}" height="${2 * r}" fill="${SOURCE_FILL}" stroke="${stroke}"/>`);
+    else
+      out.push(`    <circle cx="${p.x}" cy="${p.y}" r="${r}" fill="white" stroke="${stroke}"${hl ? ' stroke-width="2.5"' : ''}/>`);
+    out.push(`    <text x="${p.x}" y="${p.y + 4}" text-anchor="middle">${escapeXml(n.id)}</text>`);
+    if (n.value !== null && n.value !== undefined)
+      out.push(`    <text x="${p.x}" y="${p.y + r + 14}" text-anchor="middle" font-size="10">${escapeXml(n.value)}</text>`);
+  });
+
+  out.push('  </g>');
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  toDot, toSvg
+};
@@ -0,0 +1,118 @@
+const algebra = require('./rwalgebrajs/RWalgebra.js');
+const Expression = algebra.Expression;
+const datamodel = require('./datamodel.js');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const m1helper = require('./mason.js');
+const fraction = require('./fraction.js');
+const errors = require('./errors.js');
+
+/**
+ * Return ratio of a controlled source, found by breaking the loop at its edge.
+ *
+ * For an edge u -> v with weight W the graph is cut: the edge is removed and a
+ * test source x_t is connected to v through W instead. The return ratio is the
+ * signal that comes back to u, with the sign convention of 1 + T:
+ *
+ *   T = -u / x_t = -N_t / delta_cut
+ *
+ * where N_t is the Mason numerator from x_t to u and delta_cut the determinant
+ * of the cut graph. Since the determinant is affine in W, the determinant of the
+ * full graph is delta = delta_cut - N_t = delta_cut (1 + T).
+ *
+ * Asymptotic gain model (for an input x and output y):
+ *
+ *   H = G_inf T / (1 + T) + G_0 / (1 + T)
+ *
+ * with G_0 = H at W = 0 (the cut graph, numerator N_0) and, using the identity above,
+ *
+ *   G_inf = (H (1 + T) - G_0) / T = (N_0 - N) / N_t
+ *
+ * where N is the numerator of H. When the input is not a source node, H and G_0
+ * are source ratios (see calculateNodeGain) and G_inf = (H (1 + T) - G_0) / T.
+ * All results are {n, d} pairs of Expressions.
+ */
+
+/**
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param edgeId - id of the edge (controlled source) to break the loop at
+ * @param options - input, output: node ids for the asymptotic gain model (optional, both or neither)
+ * @returns {{edge, testNode, t: {n, d}, cutDelta, asymptotic: {h, t, g0, gInf}}}
+ *   asymptotic is only present when input and output are given; gInf is null when T = 0
+ * @throws InconsistentGraphError if there is no edge with that id
+ * @throws SfgError if only one of input and output is given
+ * @throws UnknownNodeError if input or output is not in the graph
+ */
+function computeReturnRatio(nodes, edgeId, options = {}) {
+  const graph = SignalFlowGraph.from(nodes);
+  const edge = graph.getEdge(edgeId);
+  if (!edge)
+    throw new errors.InconsistentGraphError(`Unknown edge ${edgeId}`, {edgeId});
+
+  // Cut the graph: remove the edge and drive its end node from a test source instead
+  const cut = graph.clone();
+  cut.removeEdge(edgeId);
+  let testNode = `TEST_${edgeId}`;
+  while (cut.hasNode(testNode))
+    testNode += '_';
+  cut.addNode(testNode, null);
+  cut.addEdge(new datamodel.Edge(edge.weight, testNode, edge.endNode));
+
+  const cutDelta = m1helper.calculateDelta(cut);
+  const nt = m1helper.numeratorOrZero(testNode, edge.startNode, cut);
+  const t = {n: new Expression(0).subtract(nt), d: cutDelta};
+
+  let result = {edge: edgeId, testNode, t, cutDelta};
+
+  if (options.input !== undefined || options.output !== undefined) {
+    const {input, output} = options;
+    if (input === undefined || output === undefined)
+      throw new errors.SfgError('The asymptotic gain model needs both options.input and options.output');
+    [input, output].forEach((id) => {
+      if (!graph.hasNode(id))
+        throw new errors.UnknownNodeError(id);
+    });
+
+    // G_0 and N must be computed without the test source in the graph
+    cut.removeNode(testNode);
+    if (m1helper.isSourceNode(graph, input)) {
+      const n = m1helper.numeratorOrZero(input, output, graph);
+      const n0 = m1helper.numeratorOrZero(input, output, cut);
+      result.asymptotic = {
+        h: {n, d: m1helper.calculateDelta(graph)},
+        t,
+        g0: {n: n0, d: cutDelta},
+        gInf: isZero(nt) ? null : {n: n0.subtract(n), d: nt}
+      };
+    } else {
+      const h = gainOf(input, output, graph);
+      const g0 = gainOf(input, output, cut);
+      result.asymptotic = {
+        h,
+        t,
+        g0,
+        gInf: isZero(nt) ? null : fraction.divide(fraction.subtract(fraction.multiply(h, fraction.add(fraction.fraction(1), t)), g0), t)
+      };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @returns {{n, d}} gain from start to end, a source ratio when start is an internal node
+ */
+function gainOf(start, end, graph) {
+  const gain = m1helper.calculateNodeGain(start, end, graph);
+  return {n: gain.n, d: gain.d};
+}
+
+function isZero(expr) {
+  return expr.toString().trim() === '0';
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  computeReturnRatio
+};
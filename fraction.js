@@ -0,0 +1,87 @@
+const algebra = require('./rwalgebrajs/RWalgebra.js');
+const Expression = algebra.Expression;
+
+/**
+ * Arithmetic on fractions {n, d} of Expression objects.
+ *
+ * The Expression class can only divide by constants, so quotients of symbolic
+ * expressions are kept as a numerator/denominator pair. Factors of 1 and terms
+ * of 0 are skipped to keep the expressions short.
+ */
+
+/**
+ * @param value - Expression, string or number
+ * @returns {Expression}
+ */
+function toExpression(value) {
+  if (value instanceof Expression)
+    return value;
+  if (typeof value === 'number')
+    return new Expression(value);
+  return new Expression(1).multiply(`(${value})`);
+}
+
+/**
+ * @param n - numerator (Expression, string or number)
+ * @param d - denominator (default 1)
+ * @returns {{n: Expression, d: Expression}}
+ */
+function fraction(n, d = 1) {
+  return {n: toExpression(n), d: toExpression(d)};
+}
+
+function isZero(expr) {
+  return expr.toString().trim() === '0';
+}
+
+function isOne(expr) {
+  return expr.toString().trim() === '1';
+}
+
+function times(a, b) {
+  if (isOne(a))
+    return b;
+  if (isOne(b))
+    return a;
+  return a.multiply(b);
+}
+
+function add(a, b) {
+  if (isZero(a.n))
+    return b;
+  if (isZero(b.n))
+    return a;
+  if (a.d.toString() === b.d.toString())
+    return {n: a.n.add(b.n), d: a.d};
+  return {n: times(a.n, b.d).add(times(b.n, a.d)), d: times(a.d, b.d)};
+}
+
+function negate(a) {
+  return {n: new Expression(0).subtract(a.n), d: a.d};
+}
+
+function subtract(a, b) {
+  return add(a, negate(b));
+}
+
+function multiply(a, b) {
+  return {n: times(a.n, b.n), d: times(a.d, b.d)};
+}
+
+function divide(a, b) {
+  return {n: times(a.n, b.d), d: times(a.d, b.n)};
+}
+
+/**
+ * @returns a fraction as a single string, (n) / (d)
+ */
+function toString(a) {
+  return isOne(a.d) ? a.n.toString() : `(${a.n.toString()}) / (${a.d.toString()})`;
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  toExpression, fraction, isZero, isOne, add, subtract, negate, multiply, divide, toString
+};
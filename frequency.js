@@ -0,0 +1,162 @@
+const math = require('mathjs');
+const errors = require('./errors.js');
+
+/**
+ * Numeric frequency response of a transfer function.
+ *
+ * The numerator and denominator (Expression objects or strings) are compiled
+ * once with mathjs and evaluated as complex numbers at every frequency, with
+ * j = sqrt(-1), w = the angular frequency and s = j*w. Any other symbol must be
+ * given a value through params.
+ */
+
+const J = math.complex(0, 1);
+
+/**
+ * Compile an expression for repeated numeric evaluation
+ *
+ * @param expr - Expression object or string
+ * @returns function (scope) -> Complex
+ */
+function compileExpression(expr) {
+  const str = expr.toString();
+  let code;
+  try {
+    code = math.compile(str);
+  } catch (e) {
+    throw new errors.EvaluationError(`Cannot parse ${str}: ${e.message}`, {expression: str});
+  }
+
+  return (scope) => {
+    let value;
+    try {
+      value = code.evaluate(Object.assign({}, scope));
+    } catch (e) {
+      const unbound = e.message.match(/Undefined symbol (\S+)/);
+      throw new errors.EvaluationError(`Cannot evaluate ${str}: ${e.message}`,
+        unbound ? {expression: str, symbol: unbound[1]} : {expression: str});
+    }
+    if (typeof value !== 'number' && !(value && value.isComplex))
+      throw new errors.EvaluationError(`${str} does not evaluate to a number`, {expression: str});
+    return math.complex(value);
+  };
+}
+
+/**
+ * Build a function that evaluates H(jw) = n / d
+ *
+ * @param tf - object with n and d (Expression objects or strings), e.g. the result of computeMasons
+ * @param params - values of the symbols other than w, j and s
+ * @returns function (w) -> Complex
+ */
+function transferFunctionEvaluator(tf, params = {}) {
+  const n = compileExpression(tf.n);
+  const d = compileExpression(tf.d);
+
+  return (w) => {
+    const scope = Object.assign({}, params, {w, j: J, s: math.complex(0, w)});
+    return math.divide(n(scope), d(scope));
+  };
+}
+
+/**
+ * @param options - wStart, wStop, points, scale ('log' or 'linear')
+ * @returns list of angular frequencies
+ */
+function frequencyGrid(options = {}) {
+  const wStart = options.wStart !== undefined ? options.wStart : 1;
+  const wStop = options.wStop !== undefined ? options.wStop : 1e6;
+  const points = options.points || 100;
+  const scale = options.scale || 'log';
+
+  if (scale !== 'log' && scale !== 'linear')
+    throw new errors.SfgError(`Unknown frequency scale ${scale} (expected log or linear)`);
+  if (scale === 'log' && (wStart <= 0 || wStop <= 0))
+    throw new errors.SfgError('wStart and wStop must be positive for a log sweep');
+  if (points < 2)
+    return [wStart];
+
+  let w = [];
+  for (let k = 0; k < points; k++) {
+    const t = k / (points - 1);
+    w.push(scale === 'log' ? wStart * Math.pow(wStop / wStart, t) : wStart + (wStop - wStart) * t);
+  }
+  return w;
+}
+
+/**
+ * Remove the 360 degree jumps from a list of phases (in degrees)
+ *
+ * @param phase
+ * @returns {Array}
+ */
+function unwrapPhase(phase) {
+  let offset = 0;
+  return phase.map((p, i) => {
+    if (i > 0) {
+      const prev = phase[i - 1];
+      if (p - prev > 180)
+        offset -= 360;
+      else if (p - prev < -180)
+        offset += 360;
+    }
+    return p + offset;
+  });
+}
+
+/**
+ * Evaluate a transfer function over a frequency sweep
+ *
+ * @param tf - object with n and d (Expression objects or strings), e.g. the result of computeMasons
+ * @param options - wStart (default 1), wStop (default 1e6): sweep limits in rad/s
+ *                  points (default 100), scale: 'log' (default) or 'linear'
+ *                  params: values of the symbols other than w, j and s
+ * @returns {{w: [number], magnitude: [number], phase: [number], H: [Complex]}}
+ *   magnitude in dB, phase in degrees (unwrapped)
+ */
+function frequencyResponse(tf, options = {}) {
+  const H = transferFunctionEvaluator(tf, options.params);
+  const w = frequencyGrid(options);
+  const values = w.map(H);
+
+  return {
+    w,
+    magnitude: values.map(h => 20 * Math.log10(math.abs(h))),
+    phase: unwrapPhase(values.map(h => math.arg(h) * 180 / Math.PI)),
+    H: values
+  };
+}
+
+/**
+ * @param response - result of frequencyResponse
+ * @returns plain object with the complex values split into re and im arrays
+ */
+function responseToJSON(response) {
+  return {
+    w: response.w,
+    magnitude: response.magnitude,
+    phase: response.phase,
+    re: response.H.map(h => h.re),
+    im: response.H.map(h => h.im)
+  };
+}
+
+/**
+ * @param response - result of frequencyResponse
+ * @returns {string} CSV with the columns w, magnitude_db, phase_deg, re, im
+ */
+function responseToCSV(response) {
+  let lines = ['w,magnitude_db,phase_deg,re,im'];
+  response.w.forEach((w, i) => {
+    lines.push([w, response.magnitude[i], response.phase[i], response.H[i].re, response.H[i].im].join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  frequencyResponse, transferFunctionEvaluator, compileExpression, frequencyGrid, unwrapPhase,
+  responseToJSON, responseToCSV
+};
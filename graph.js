@@ -0,0 +1,211 @@
+const datamodel = require('./datamodel.js');
+const errors = require('./errors.js');
+
+/**
+ * Container for a signal flow graph.
+ *
+ * Owns the Node and Edge objects of the graph and keeps id-indexed lookups
+ * for both, along with the incoming and outgoing adjacency of every node.
+ * Outgoing adjacency lives on each node's outgoingEdges array, so the nodes
+ * stay usable by code written against the plain array form.
+ *
+ * Edges may point at a node id that is not (yet) part of the graph - this
+ * mirrors what computeSFG has always produced, so they are kept rather than
+ * rejected.
+ */
+function SignalFlowGraph () {
+  this.nodes = new Map();   // node id -> Node
+  this.edges = new Map();   // edge id -> Edge
+  this.inEdges = new Map(); // node id -> list of Edges ending at that node
+};
+
+/**
+ * Adapter used by the public API so that both a SignalFlowGraph and the
+ * legacy list of Node objects are accepted.
+ * The list form is copied: the graph gets its own Node and Edge objects, so
+ * the caller's list is never modified (edges sharing an id are only renamed
+ * in the copy).
+ *
+ * @param nodes - SignalFlowGraph or list of Node objects
+ * @returns {SignalFlowGraph}
+ */
+SignalFlowGraph.from = function (nodes) {
+  if (nodes instanceof SignalFlowGraph)
+    return nodes;
+
+  const graph = new SignalFlowGraph();
+  (nodes || []).forEach(n => graph.addNode(n.copy()));
+  return graph;
+};
+
+/**
+ * Add a node to the graph. Any edges already in node.outgoingEdges are
+ * registered with the graph as well.
+ *
+ * @param node - Node object, or the id of a new node
+ * @param value - value of the new node (only used when an id is given)
+ * @returns the Node that was added
+ */
+SignalFlowGraph.prototype.addNode = function (node, value = null) {
+  if (!(node instanceof datamodel.Node))
+    node = new datamodel.Node(node, value);
+
+  if (this.nodes.has(node.id))
+    throw new errors.InconsistentGraphError(`Node ${node.id} already exists in the graph`, {nodeId: node.id});
+
+  this.nodes.set(node.id, node);
+  node.outgoingEdges.forEach(e => this._registerEdge(e));
+  return node;
+};
+
+/**
+ * Add an edge to the graph. If another edge already uses the same id, the new
+ * edge is given a unique id with a numeric suffix (ab, ab_1, ab_2, ...) which is
+ * the same scheme computeSFG uses for parallel edges.
+ *
+ * @param edge - Edge object, or the weight of a new edge
+ * @param startNode - start node id (only used when a weight is given)
+ * @param endNode - end node id (only used when a weight is given)
+ * @returns the Edge that was added
+ */
+SignalFlowGraph.prototype.addEdge = function (edge, startNode, endNode) {
+  if (!(edge instanceof datamodel.Edge))
+    edge = new datamodel.Edge(edge, startNode, endNode);
+
+  const start = this.nodes.get(edge.startNode);
+  if (!start)
+    throw new errors.InconsistentGraphError(`Start node ${edge.startNode} of edge ${edge.id} is not in the graph`,
+      {nodeId: edge.startNode, edgeId: edge.id});
+
+  start.outgoingEdges.push(edge);
+  this._registerEdge(edge);
+  return edge;
+};
+
+/**
+ * Remove an edge (by id) from the graph.
+ *
+ * @param id - edge id
+ * @returns the removed Edge, or undefined if there was no such edge
+ */
+SignalFlowGraph.prototype.removeEdge = function (id) {
+  const edge = this.edges.get(id);
+  if (!edge)
+    return undefined;
+
+  const start = this.nodes.get(edge.startNode);
+  if (start)
+    removeFromList(start.outgoingEdges, edge);
+  removeFromList(this.inEdges.get(edge.endNode) || [], edge);
+  this.edges.delete(id);
+  return edge;
+};
+
+/**
+ * Remove a node (by id) together with every edge entering or leaving it.
+ *
+ * @param id - node id
+ * @returns the removed Node, or undefined if there was no such node
+ */
+SignalFlowGraph.prototype.removeNode = function (id) {
+  const node = this.nodes.get(id);
+  if (!node)
+    return undefined;
+
+  [...node.outgoingEdges].forEach(e => this.removeEdge(e.id));
+  [...this.incomingEdges(id)].forEach(e => this.removeEdge(e.id));
+  this.inEdges.delete(id);
+  this.nodes.delete(id);
+  return node;
+};
+
+SignalFlowGraph.prototype.getNode = function (id) {
+  return this.nodes.get(id);
+};
+
+SignalFlowGraph.prototype.hasNode = function (id) {
+  return this.nodes.has(id);
+};
+
+SignalFlowGraph.prototype.getEdge = function (id) {
+  return this.edges.get(id);
+};
+
+/**
+ * @param id - node id
+ * @returns list of edges leaving the node (empty if the node does not exist)
+ */
+SignalFlowGraph.prototype.outgoingEdges = function (id) {
+  const node = this.nodes.get(id);
+  return node ? node.outgoingEdges : [];
+};
+
+/**
+ * @param id - node id
+ * @returns list of edges entering the node
+ */
+SignalFlowGraph.prototype.incomingEdges = function (id) {
+  return this.inEdges.get(id) || [];
+};
+
+SignalFlowGraph.prototype.nodeIds = function () {
+  return [...this.nodes.keys()];
+};
+
+/**
+ * @returns list of Node objects in insertion order (the legacy array form)
+ */
+SignalFlowGraph.prototype.toArray = function () {
+  return [...this.nodes.values()];
+};
+
+SignalFlowGraph.prototype[Symbol.iterator] = function () {
+  return this.nodes.values();
+};
+
+/**
+ * Deep copy of the graph - nodes and edges are new objects, ids are preserved.
+ *
+ * @returns {SignalFlowGraph}
+ */
+SignalFlowGraph.prototype.clone = function () {
+  const copy = new SignalFlowGraph();
+  this.nodes.forEach(n => copy.addNode(n.id, n.value));
+  this.nodes.forEach(n => {
+    n.outgoingEdges.forEach(e => copy.addEdge(e.copy()));
+  });
+  return copy;
+};
+
+/**
+ * Index an edge that is already present in its start node's outgoingEdges list
+ *
+ * @param edge
+ */
+SignalFlowGraph.prototype._registerEdge = function (edge) {
+  if (this.edges.has(edge.id)) {
+    const base = edge.id;
+    let suffix = 1;
+    while (this.edges.has(`${base}_${suffix}`))
+      suffix++;
+    edge.id = `${base}_${suffix}`;
+  }
+
+  this.edges.set(edge.id, edge);
+  if (!this.inEdges.has(edge.endNode))
+    this.inEdges.set(edge.endNode, []);
+  this.inEdges.get(edge.endNode).push(edge);
+};
+
+function removeFromList(list, item) {
+  const i = list.indexOf(item);
+  if (i !== -1)
+    list.splice(i, 1);
+}
+
+/**
+ * Export classes as part of graph module
+ */
+module.exports = {
+  SignalFlowGraph
+};
@@ -1,28 +1,28 @@
 const algebra = require('./rwalgebrajs/RWalgebra.js');
 const Expression = algebra.Expression;
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const cycleHelper = require('./cycles.js');
+const nonTouchingHelper = require('./nontouching.js');
+const errors = require('./errors.js');
 
 const DEBUG = 0;
 
 /**
- * Wrapper function that performs DFS to find all the loops in the graph.
- * High level overview:
- * 1. Loop through all of the nodes
- * 2. For each node, do DFS to find all simple cycles that start and end with that node
+ * Find all the loops (elementary circuits) in the graph.
+ * Loop enumeration is done by Johnson's algorithm (see cycles.js) so that every
+ * loop - including self-loops and loops through parallel edges - is found exactly once.
  *
- * @param nodes
- * @returns List all of the cycles (list of a list - each element contains a list of edges indicating a cycle)
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @returns List all of the cycles (list of a list - each element contains a list of edges indicating a cycle).
+ *          Each cycle is in canonical rotation and has a stable id property.
  */
 function findAllLoops(nodes) {
-  let visited = [];
-  let stack = [];
-  let cycles = [];
+  const graph = SignalFlowGraph.from(nodes);
 
   if (DEBUG) {
-    console.log(JSON.stringify(nodes));
+    console.log(JSON.stringify(graph.toArray()));
   }
-  nodes.forEach((node) => {
-    dfsFindLoops(nodes, node, node.id, visited, stack, cycles);
-  });
+  const cycles = cycleHelper.elementaryCircuits(graph);
 
   // For debugging purposes - print out the found loops if DEBUG enabled
   if (DEBUG) {
@@ -35,50 +35,6 @@ function findAllLoops(nodes) {
   return cycles;
 }
 
-/**
- * Performs DFS to find all the simple cycles that start and end with the startId
- *
- * @param nodes
- * @param curr - current node that we are traversing
- * @param startId - root node used to determine a cycle
- * @param visited - List of the nodes that have already been visited
- * @param stack - Contains a list of edges that the algorithm has currently traversed
- * @param cycles
- */
-function dfsFindLoops(nodes, curr, startId, visited, stack, cycles) {
-  visited.push(curr.id);
-  let v, edge, i;
-  let edges = curr.outgoingEdges;
-
-  for (i = 0; i < edges.length; i++) {
-    edge = edges[i];
-    v = nodes.find(x => x.id === edge.endNode);
-
-    if (!v)
-      continue;
-
-    // Found a cycle
-    if (v.id === startId) {
-      stack.push(edge);
-      let copy = [...stack];
-      cycles.push(copy);
-      stack.pop();
-      continue;
-    }
-
-    // No cycle found, need to keep traversing graph
-    if (!visited.includes(v.id)){
-      stack.push(edge);
-      dfsFindLoops(nodes, v, startId, visited, stack, cycles);
-    }
-  }
-
-  if (curr.id !== startId) {
-    stack.pop();
-    visited.pop();
-  }
-}
-
 /**
  * Helper function for debugging.
  * Prints out the path indicated by the edges parameter
@@ -100,63 +56,127 @@ function printEdges(edges) {
  * 
  * @param start - start node id
  * @param end  - end node id
- * @param nodes - entire SFG represented as a list of node objects
+ * @param nodes - entire SFG as a SignalFlowGraph (or list of node objects)
  */
 function calculateNumerator(start, end , nodes){
-  var start = nodes.find(x => x.id === start);
-  var end = nodes.find(x => x.id === end);
-  var curr_path = [];
-  // The following three arrays are mapped using index
-  var paths = [];
-  var forwardLoopgains = [];
-  var delta_k = [];
+  return sumForwardPaths(analyzeForwardPaths(start, end, nodes));
+}
+
+/**
+ * Mason numerator between two nodes, or 0 if there is no forward path
+ */
+function numeratorOrZero(start, end, nodes){
+  try {
+    return calculateNumerator(start, end, nodes);
+  } catch (e) {
+    if (e instanceof errors.NoForwardPathError)
+      return new Expression(0);
+    throw e;
+  }
+}
+
+/**
+ * Sum of P_k * delta_k over the forward paths returned by analyzeForwardPaths
+ *
+ * @param forwardPaths
+ * @returns {Expression}
+ */
+function sumForwardPaths(forwardPaths){
   let numer = new Expression(0);
 
+  forwardPaths.forEach(p => {
+    numer = numer.add(p.gain.multiply(p.delta));
+  });
+  return numer;
+}
+
+/**
+ * Determinant (delta) of the graph - the denominator of every transfer function in it
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @returns {Expression}
+ */
+function calculateDelta(nodes){
+  const allLoops = findAllLoops(nodes);
+  return calculateDenominator(allLoops, findNonTouching(allLoops));
+}
+
+/**
+ * Apply Mason's rule between two nodes
+ *
+ * @param start - start node id
+ * @param end  - end node id
+ * @param nodes - entire SFG as a SignalFlowGraph (or list of node objects)
+ * @returns {{n: Expression, d: Expression, allLoops, nonTouchingLoops, forwardPaths}}
+ *   the transfer function n / d along with the loops and paths it was computed from
+ */
+function calculateTransferFunction(start, end, nodes){
+  const graph = SignalFlowGraph.from(nodes);
+  const allLoops = findAllLoops(graph);
+  const nonTouchingLoops = findNonTouching(allLoops);
+  const denom = calculateDenominator(allLoops, nonTouchingLoops);
+  const forwardPaths = analyzeForwardPaths(start, end, graph);
+
+  return {n: sumForwardPaths(forwardPaths), d: denom, allLoops, nonTouchingLoops, forwardPaths};
+}
+
+/**
+ * Find every forward path from start to end along with the terms Mason's rule needs for it
+ *
+ * @param start - start node id
+ * @param end  - end node id
+ * @param nodes - entire SFG as a SignalFlowGraph (or list of node objects)
+ * @returns list of forward paths, each of the form
+ *   {nodes: [Node], edges: [Edge], gain: P_k (Expression), delta: delta_k (Expression)}
+ * @throws UnknownNodeError if start or end is not in the graph
+ * @throws NoForwardPathError if end cannot be reached from start
+ */
+function analyzeForwardPaths(start, end, nodes){
+  const graph = SignalFlowGraph.from(nodes);
+  const startNode = graph.getNode(start);
+  const endNode = graph.getNode(end);
+  var paths = [];
+
+  if (!startNode)
+    throw new errors.UnknownNodeError(start);
+  if (!endNode)
+    throw new errors.UnknownNodeError(end);
+
   // Step 1 - handle forward paths (this is P_k in the equation)
-  findForwardPaths(start, end, nodes, paths, curr_path); // paths variable is now filled in 
+  findForwardPaths(startNode, endNode, graph, paths, [], []); // paths variable is now filled in
+  if (!paths.length)
+    throw new errors.NoForwardPathError(start, end);
   var forwardLoopgains = getForwardPathsLoopgains(paths);
 
   // Step 2 - handle loops that do not touch kth forward path (this is delta_k)
-  paths.forEach(p => { 
-    const subgraph = subtractNodes(nodes, p);
+  return paths.map((p, i) => {
+    const subgraph = subtractNodes(graph, p.nodes);
     const allLoops = findAllLoops(subgraph);
     const nonTouchingLoops = findNonTouching(allLoops);
     const d_k = calculateDenominator(allLoops, nonTouchingLoops);
-    delta_k.push(d_k);
 
+    return {nodes: p.nodes, edges: p.edges, gain: forwardLoopgains[i], delta: d_k};
   });
-
-  // Find the sum of P_k * delta_k
-  if (forwardLoopgains. length == delta_k.length){  // Sanity check
-    for (let i=0; i<forwardLoopgains.length; i++){
-        let ex = forwardLoopgains[i];
-        ex = ex.multiply(delta_k[i]);
-        numer = numer.add(ex);
-    }
-    return numer;
-  }
-  else{
-    console.log("The number of P-K and delta_k do no match")
-    return undefined
-  }
 }
 
 /**
  * Find all available forward paths from start to end node 
- * and put that information in paths input parameter as a 2D array
- * using depth first search
+ * and put that information in paths input parameter
+ * using depth first search.
+ * Parallel edges give separate forward paths through the same nodes.
  * 
  * @param start
  * @param end
- * @param nodes
- * @param paths - a list of valid forward paths (a.k.a 2D array of nodes)
- * @param currPath - the path DFS is currently pursuing
+ * @param graph - SignalFlowGraph
+ * @param paths - a list of valid forward paths, each of the form {nodes: [Node], edges: [Edge]}
+ * @param currPath - the nodes of the path DFS is currently pursuing
+ * @param currEdges - the edges of the path DFS is currently pursuing
  */
-function findForwardPaths(start, end, nodes, paths, currPath){
+function findForwardPaths(start, end, graph, paths, currPath, currEdges){
   // The destination node is reached
   if (start === end){
     currPath.push(start);
-    paths.push(currPath);
+    paths.push({nodes: currPath, edges: currEdges});
     return;
   }
   // Stop if loop is detected or there is no outgoing edges
@@ -168,18 +188,14 @@ function findForwardPaths(start, end, nodes, paths, currPath){
   }
 
   for (let i=0; i < start.outgoingEdges.length; i++){
-    nextNodeId = start.outgoingEdges[i].endNode;
-    nextNode = nodes.find(x => x.id === nextNodeId);
-
-    currPathCopy = [];
+    const edge = start.outgoingEdges[i];
+    const nextNode = graph.getNode(edge.endNode);
+    if (!nextNode)
+      continue;
 
     // In js, an array passed in as a parameter is passed by reference
     // Manually make a copy of currPath to avoid mixing up different forward paths
-    currPath.forEach(e => {
-      currPathCopy.push(e);
-    });
-
-    findForwardPaths(nextNode, end, nodes, paths, currPathCopy);
+    findForwardPaths(nextNode, end, graph, paths, [...currPath], [...currEdges, edge]);
   }
 }
 
@@ -193,8 +209,7 @@ function getForwardPathsLoopgains(paths){
   var forwardLoopgains = [];
 
   paths.forEach(p => {
-    var forwardEdges = extractPathEdges(p);
-    var flg = calculateLoopGain(forwardEdges);
+    var flg = calculateLoopGain(p.edges);
     forwardLoopgains.push(flg);
   });
 
@@ -202,58 +217,138 @@ function getForwardPathsLoopgains(paths){
 }
 
 /**
- * Helper function for getForwardPathsLoopgains()
- * Given a list of nodes that consist a path, extract relevant edges
- * that forms the same path
- * 
- * @param pathNodes - a list of node objects
- * @return a list of edge objects
+ * Gain between any two nodes.
+ *
+ * Mason's rule only gives the gain from a source node (one without incoming edges
+ * other than a self-loop).
+ * When start has incoming edges the gain is instead the ratio of the gains from
+ * a source node that drives start:
+ *
+ *   end/start = (end/source) / (start/source) = (sum P_k delta_k to end) / (sum P_k delta_k to start)
+ *
+ * as the common determinant cancels.
+ *
+ * @param start - start node id
+ * @param end  - end node id
+ * @param nodes - entire SFG as a SignalFlowGraph (or list of node objects)
+ * @param options - source: source node to use for the ratio (default: the first source node that reaches start)
+ * @returns {{n, d, method, source, delta, allLoops, nonTouchingLoops, forwardPaths, referencePaths}}
+ *   method is 'mason' or 'source-ratio'. For 'source-ratio', forwardPaths run from source to end,
+ *   referencePaths from source to start, and d is the numerator towards start (delta is the determinant).
  */
-function extractPathEdges(pathNodes){
-  var pathEdges = [];
+function calculateNodeGain(start, end, nodes, options = {}){
+  const graph = SignalFlowGraph.from(nodes);
+  if (!graph.hasNode(start))
+    throw new errors.UnknownNodeError(start);
+  if (!graph.hasNode(end))
+    throw new errors.UnknownNodeError(end);
+
+  if (isSourceNode(graph, start) && !options.source) {
+    const mason = calculateTransferFunction(start, end, graph);
+    return Object.assign(mason, {method: 'mason', source: start, delta: mason.d, referencePaths: []});
+  }
 
-  pathNodes.forEach((pn, i) => {
-    if (i < pathNodes.length - 1){
-      pe = pn.outgoingEdges.find(x => x.endNode === pathNodes[i+1].id);
-      pathEdges.push(pe);
-    }
-  });
+  let source = options.source;
+  if (source === undefined)
+    source = findDrivingSource(start, end, graph);
+  else if (!graph.hasNode(source))
+    throw new errors.UnknownNodeError(source);
+
+  const allLoops = findAllLoops(graph);
+  const nonTouchingLoops = findNonTouching(allLoops);
+  const referencePaths = analyzeForwardPaths(source, start, graph);
+  let forwardPaths;
+  try {
+    forwardPaths = analyzeForwardPaths(source, end, graph);
+  } catch (e) {
+    if (!(e instanceof errors.NoForwardPathError))
+      throw e;
+    forwardPaths = [];
+  }
+
+  return {
+    n: sumForwardPaths(forwardPaths),
+    d: sumForwardPaths(referencePaths),
+    method: 'source-ratio',
+    source,
+    delta: calculateDenominator(allLoops, nonTouchingLoops),
+    allLoops,
+    nonTouchingLoops,
+    forwardPaths,
+    referencePaths
+  };
+}
+
+/**
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @returns list of the ids of the source nodes (see isSourceNode)
+ */
+function findSourceNodes(nodes){
+  const graph = SignalFlowGraph.from(nodes);
+  return graph.nodeIds().filter(id => isSourceNode(graph, id));
+}
 
-  return pathEdges;
+/**
+ * A self-loop does not make a node internal: a source node is one whose only
+ * incoming edges (if any) start at the node itself
+ *
+ * @param graph - SignalFlowGraph
+ * @param id - node id
+ */
+function isSourceNode(graph, id){
+  return graph.incomingEdges(id).every(e => e.startNode === id);
+}
+
+/**
+ * Source node to compute the gain of an internal start node from: the first
+ * source node that reaches start, preferring one that also reaches end
+ *
+ * @param start - start node id
+ * @param end - end node id
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @throws NoForwardPathError if no source node reaches start
+ */
+function findDrivingSource(start, end, nodes){
+  const graph = SignalFlowGraph.from(nodes);
+  const candidates = findSourceNodes(graph).filter(id => reaches(graph, id, start));
+  const source = candidates.find(id => reaches(graph, id, end)) || candidates[0];
+  if (source === undefined)
+    throw new errors.NoForwardPathError('any source node', start);
+  return source;
+}
+
+/**
+ * @returns true if there is a path from node id `from` to node id `to`
+ */
+function reaches(graph, from, to){
+  let seen = new Set([from]);
+  let stack = [from];
+
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === to)
+      return true;
+    graph.outgoingEdges(id).forEach(e => {
+      if (!seen.has(e.endNode)) {
+        seen.add(e.endNode);
+        stack.push(e.endNode);
+      }
+    });
+  }
+  return false;
 }
 
 /**
  * A = the original SFG
  * B = sub-SFG in A 
  * Returns A- B
- * @param originalNodes - the original, entire SFG represented as a list of nodes
- * @param nodesToSubtract - a sub-SFG that needs to be removed from originalNodes
- * @returns a sub-graph of originalNodes after nodesToSubtract has been removed
+ * @param graph - the original, entire SFG
+ * @param nodesToSubtract - a list of nodes that needs to be removed from the graph
+ * @returns a sub-graph (SignalFlowGraph) of the original after nodesToSubtract has been removed
  */
-function subtractNodes(originalNodes, nodesToSubtract){
-  allnodes_copy = [];
-  subgraph = [];
-  
-  // Quite inefficent... maybe optimize it somehow later
-  originalNodes.forEach(n => {
-    allnodes_copy.push(n.copy());
-  });
-
-  allnodes_copy.forEach(n => {
-    // Check if the node should not be subtracted
-    if (!nodesToSubtract.includes(n) && n.outgoingEdges.length > 0){
-        nodesToSubtract.forEach((nts, i) => {
-          edge_i = n.outgoingEdges.findIndex(e => e.endNode === nts.id);
-
-          if (edge_i != -1){
-            n.outgoingEdges.splice(edge_i, 1);
-          }
-        
-      });
-      subgraph.push(n);
-    }
-  });
-
+function subtractNodes(graph, nodesToSubtract){
+  const subgraph = graph.clone();
+  nodesToSubtract.forEach(n => subgraph.removeNode(n.id));
   return subgraph;
 }
 
@@ -307,56 +402,25 @@ function calculateLoopGain(edges) {
 }
 
 /**
- * Returns a map of all sets of non-touching loops taken i at a time (i = [2, n]) given all of the loops in a graph
+ * Returns a map of all sets of non-touching loops taken i at a time (i = [2, n]) given all of the loops in a graph.
+ * Each set is pairwise non-touching and appears exactly once (see nontouching.js).
  *
  * @param allLoops
- * @returns {Map<i, [list of loo[s]]} where i indicates that the loops were taken i at a time (starts with 2)
+ * @param options - maxOrder: only take up to maxOrder loops at a time. Note the
+ *                  denominator built from a capped map is an approximation.
+ * @returns {Map<i, [list of loops]} where i indicates that the loops were taken i at a time (starts with 2).
+ *          Each entry is the concatenated edge list of the set, with a loops property holding the individual loops.
  */
-function findNonTouching(allLoops) {
-  const numLoops = allLoops.length;
+function findNonTouching(allLoops, options) {
   let nonTouchingLoops = new Map();
-  let prevSet, prevSetLength, ithNonTouch;
-  let currLoop, currNodes, remainingLoop, remainingNodes, touching, loopGain, concatLoops;
-  let existingGains = [];     // used to keep track of which loops were already counted
-
-  // Initialize result map
-  nonTouchingLoops.set(1, allLoops);
-
-  let i, j; // start with non-touching loops taken 2 at a time
-  for (i = 2; i <= numLoops; i++ ) {
-    prevSet = nonTouchingLoops.get(i - 1);
-    prevSetLength = prevSet.length;
-    ithNonTouch = nonTouchingLoops.set(i, []).get(i);
-
-    for (j = 0; j < prevSetLength; j++) {
-      currLoop = prevSet[j];
-      currNodes = prevSet[j].map((e) => e.endNode);
-
-      // Compare against other loops in the graph
-      for (innerIndex = 0; innerIndex < numLoops; innerIndex++ ) {
-        remainingLoop = allLoops[innerIndex];
-        concatLoops = remainingLoop.concat(currLoop);
-
-        // check for duplicates
-        loopGain = concatLoops.map((edge) => edge.id).sort().toString();
-        if (existingGains.includes(loopGain))
-          continue;
-
-        remainingNodes = remainingLoop.map((e) => e.endNode);
-        touching = remainingNodes.some((node) => currNodes.includes(node));
-        if (!touching) {
-          existingGains.push(loopGain);
-          ithNonTouch.push(concatLoops);
-        }
-      }
-    }
 
-    // We didnt find any ith non-touching loops - won't find anymore so stop looking and cleanup result map
-    if (!ithNonTouch.length) {
-      nonTouchingLoops.delete(i);
-      break;
-    }
-  }
+  nonTouchingHelper.findNonTouchingSets(allLoops, options).forEach((sets, i) => {
+    nonTouchingLoops.set(i, sets.map((set) => {
+      const concatLoops = [].concat(...set);
+      concatLoops.loops = set;
+      return concatLoops;
+    }));
+  });
 
   if (DEBUG) {
     console.log('===================================');
@@ -368,13 +432,25 @@ function findNonTouching(allLoops) {
     });
   }
 
-  nonTouchingLoops.delete(1);
   return nonTouchingLoops;
 }
 
+/**
+ * Number of sets of non-touching loops for each order, without building the sets
+ *
+ * @param allLoops
+ * @param options - maxOrder: only count up to maxOrder loops at a time
+ * @returns {Map<i, number>}
+ */
+function countNonTouching(allLoops, options) {
+  return nonTouchingHelper.countNonTouching(allLoops, options);
+}
+
 /*
  * Export helper functions
  */
 module.exports = {
-  findAllLoops, findNonTouching, calculateDenominator, calculateNumerator
+  findAllLoops, findNonTouching, countNonTouching, calculateDenominator, calculateNumerator,
+  analyzeForwardPaths, sumForwardPaths, calculateTransferFunction, calculateDelta, calculateLoopGain,
+  calculateNodeGain, findSourceNodes, isSourceNode, findDrivingSource, reaches, numeratorOrZero
 };
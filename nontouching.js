@@ -0,0 +1,110 @@
+const cycleHelper = require('./cycles.js');
+
+/**
+ * Non-touching loop combination engine.
+ *
+ * Every loop is given a node bitmask (one bit per node id, as a BigInt so the
+ * number of nodes is not limited to 32). Sets of pairwise non-touching loops are
+ * then enumerated by a depth first search that only ever extends a set with a
+ * loop of higher index whose mask does not intersect the union of the set -
+ * so each k-set is produced exactly once and is pairwise disjoint by construction.
+ */
+
+/**
+ * @param allLoops - list of loops (list of edges)
+ * @returns list of BigInt node masks, indices match allLoops
+ */
+function loopMasks(allLoops) {
+  const bits = new Map();
+  const bitOf = (id) => {
+    if (!bits.has(id))
+      bits.set(id, 1n << BigInt(bits.size));
+    return bits.get(id);
+  };
+
+  return allLoops.map((loop) => {
+    let mask = 0n;
+    cycleHelper.loopNodes(loop).forEach((id) => {
+      mask |= bitOf(id);
+    });
+    return mask;
+  });
+}
+
+/**
+ * Call visit(indices) once for every set of two or more pairwise non-touching loops
+ *
+ * @param allLoops - list of loops
+ * @param options - maxOrder: largest set size to enumerate (default: no limit)
+ * @param visit - callback receiving the list of loop indices of the set
+ */
+function forEachNonTouchingSet(allLoops, options, visit) {
+  const masks = loopMasks(allLoops);
+  const maxOrder = (options && options.maxOrder) || Infinity;
+  let chosen = [];
+
+  const extend = (last, union) => {
+    for (let i = last + 1; i < masks.length; i++) {
+      if ((union & masks[i]) !== 0n)
+        continue;
+
+      chosen.push(i);
+      if (chosen.length >= 2)
+        visit(chosen);
+      if (chosen.length < maxOrder)
+        extend(i, union | masks[i]);
+      chosen.pop();
+    }
+  };
+
+  extend(-1, 0n);
+}
+
+/**
+ * Returns all sets of pairwise non-touching loops grouped by the number of loops in the set
+ *
+ * @param allLoops - list of loops
+ * @param options - maxOrder: largest set size to enumerate (default: no limit)
+ * @returns {Map<k, [list of sets]>} where each set is a list of k loops (k starts at 2, keys ascending)
+ */
+function findNonTouchingSets(allLoops, options) {
+  let byOrder = new Map();
+
+  forEachNonTouchingSet(allLoops, options, (indices) => {
+    const k = indices.length;
+    if (!byOrder.has(k))
+      byOrder.set(k, []);
+    byOrder.get(k).push(indices.map(i => allLoops[i]));
+  });
+
+  return sortByKey(byOrder);
+}
+
+/**
+ * Count the sets of pairwise non-touching loops per order without building them
+ *
+ * @param allLoops - list of loops
+ * @param options - maxOrder: largest set size to count (default: no limit)
+ * @returns {Map<k, number>} number of k-sets (k starts at 2, keys ascending)
+ */
+function countNonTouching(allLoops, options) {
+  let counts = new Map();
+
+  forEachNonTouchingSet(allLoops, options, (indices) => {
+    const k = indices.length;
+    counts.set(k, (counts.get(k) || 0) + 1);
+  });
+
+  return sortByKey(counts);
+}
+
+function sortByKey(map) {
+  return new Map([...map.entries()].sort((a, b) => a[0] - b[0]));
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  findNonTouchingSets, countNonTouching, loopMasks
+};
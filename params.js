@@ -0,0 +1,163 @@
+const math = require('mathjs');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const fraction = require('./fraction.js');
+const errors = require('./errors.js');
+
+/**
+ * Parameter binding: substitute values such as {R1: 1000, gm: 0.01} for the
+ * symbols of edge weights or of a transfer function.
+ *
+ * Substitution works on the mathjs expression tree, so R1 is replaced inside
+ * 1/(R1) or R1*C1 but R10 and function names are left alone. Values may be
+ * numbers or expression strings (e.g. {R2: '2*R1'}). Symbols without a value
+ * stay free; an expression without any symbol left collapses to a number.
+ *
+ * w, j and s are the frequency symbols of the evaluators and are never bound.
+ */
+
+const FREQUENCY_SYMBOLS = ['w', 'j', 's'];
+
+function parse(expr) {
+  const str = expr.toString();
+  try {
+    return math.parse(str);
+  } catch (e) {
+    throw new errors.EvaluationError(`Cannot parse ${str}: ${e.message}`, {expression: str});
+  }
+}
+
+/**
+ * Walk the symbols of an expression tree, skipping function names and mathjs constants (pi, e, ...)
+ */
+function forEachSymbol(node, callback) {
+  node.traverse((n, path, parent) => {
+    if (!n.isSymbolNode || (parent && parent.isFunctionNode && path === 'fn'))
+      return;
+    if (typeof math[n.name] === 'number' || (math[n.name] && math[n.name].isComplex))
+      return;
+    callback(n);
+  });
+}
+
+/**
+ * @param target - expression (Expression object or string), list of expressions,
+ *                 transfer function {n, d} or SignalFlowGraph (edge weights)
+ * @returns sorted list of the symbols other than w, j and s
+ */
+function freeSymbols(target) {
+  let symbols = new Set();
+  expressionsOf(target).forEach((expr) => {
+    forEachSymbol(parse(expr), (n) => {
+      if (!FREQUENCY_SYMBOLS.includes(n.name))
+        symbols.add(n.name);
+    });
+  });
+  return [...symbols].sort();
+}
+
+/**
+ * @param target - anything freeSymbols accepts
+ * @param count - number of names
+ * @returns list of `count` symbol names (g_1, g_2, ...) that do not occur in target
+ */
+function freshSymbols(target, count) {
+  const taken = new Set(freeSymbols(target));
+  let symbols = [];
+  for (let i = 0; symbols.length < count; i++) {
+    const name = `g_${i + 1}`;
+    if (!taken.has(name))
+      symbols.push(name);
+  }
+  return symbols;
+}
+
+function expressionsOf(target) {
+  if (Array.isArray(target) && !target.some(t => t && t.outgoingEdges))
+    return target;
+  if (target instanceof SignalFlowGraph || Array.isArray(target))
+    return [...SignalFlowGraph.from(target).edges.values()].map(e => e.weight);
+  if (target && target.n !== undefined && target.d !== undefined)
+    return [target.n, target.d];
+  return [target];
+}
+
+/**
+ * Substitute parameter values into an expression
+ *
+ * @param expr - Expression object or string
+ * @param params - {symbol: number or expression string}
+ * @returns {string} the expression with the values substituted, or the number
+ *   itself (as a string) when no symbol is left
+ */
+function substitute(expr, params = {}) {
+  const values = {};
+  Object.keys(params).forEach((name) => {
+    const value = params[name];
+    if (FREQUENCY_SYMBOLS.includes(name))
+      throw new errors.SfgError(`${name} is a frequency symbol and cannot be bound`, {symbol: name});
+    if (typeof value === 'number')
+      values[name] = value < 0 ? new math.ParenthesisNode(new math.ConstantNode(value)) : new math.ConstantNode(value);
+    else
+      values[name] = new math.ParenthesisNode(parse(value));
+  });
+
+  const node = parse(expr).transform((n, path, parent) => {
+    if (n.isSymbolNode && values[n.name] && !(parent && parent.isFunctionNode && path === 'fn'))
+      return values[n.name];
+    return n;
+  });
+
+  let symbolsLeft = false;
+  node.traverse((n, path, parent) => {
+    if (n.isSymbolNode && !(parent && parent.isFunctionNode && path === 'fn'))
+      symbolsLeft = true;
+  });
+  if (!symbolsLeft) {
+    const value = node.evaluate();
+    if (typeof value === 'number')
+      return String(value);
+  }
+  return node.toString();
+}
+
+/**
+ * Bind parameter values in a graph or a transfer function
+ *
+ * @param target - SignalFlowGraph (or list of node objects), or transfer function {n, d}
+ *                 (e.g. the result of computeMasons)
+ * @param params - {symbol: number or expression string}
+ * @returns for a graph: a new SignalFlowGraph with the values substituted into the edge weights
+ *   and node values; for a transfer function: {n, d, free: [symbols left]}, plus value (a number)
+ *   when no symbol is left at all
+ */
+function bindParameters(target, params = {}) {
+  if (target && target.n !== undefined && target.d !== undefined && !(target instanceof SignalFlowGraph)) {
+    const n = substitute(target.n, params);
+    const d = substitute(target.d, params);
+    let result = {n: fraction.toExpression(n), d: fraction.toExpression(d), free: freeSymbols([n, d])};
+    if (!result.free.length && isNumber(n) && isNumber(d))
+      result.value = Number(n) / Number(d);
+    return result;
+  }
+
+  const graph = SignalFlowGraph.from(target).clone();
+  graph.edges.forEach((e) => {
+    e.weight = substitute(e.weight, params);
+  });
+  graph.nodes.forEach((n) => {
+    if (n.value !== null && n.value !== undefined && n.value !== '')
+      n.value = substitute(n.value, params);
+  });
+  return graph;
+}
+
+function isNumber(str) {
+  return str.trim() !== '' && !isNaN(Number(str));
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  bindParameters, substitute, freeSymbols, freshSymbols, forEachSymbol, FREQUENCY_SYMBOLS
+};
@@ -0,0 +1,393 @@
+const math = require('mathjs');
+const datamodel = require('./datamodel.js');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const errors = require('./errors.js');
+
+/**
+ * Equation front end of computeSFG.
+ *
+ * Every equation `lhs = rhs` is parsed by mathjs into an expression tree, and
+ * every identifier is classified by explicit rules (first match wins):
+ *   1. frequency: w, s and j, plus jw as a shorthand for j*w
+ *   2. alias: the left hand side of an equation whose name starts with DPI
+ *      (e.g. DPI_n2 = 545.45); its value is substituted wherever it is used
+ *   3. node: the left hand side of any other equation, and anything listed in
+ *      options.nodes (unless it is also listed in options.parameters) - an input
+ *      node that only appears on right hand sides must be listed there
+ *   4. parameter: everything else (R1, gm, C_load, ...)
+ * The name itself carries no meaning beyond the DPI prefix: Vbias is a parameter
+ * unless an equation defines it or it is passed in options.nodes.
+ * Identifiers are compared as whole tokens, so V_n1 never matches inside V_n10.
+ *
+ * The right hand side is then expanded into a linear combination of node
+ * variables. Each top-level term gives one edge per node variable it contains,
+ * from that node to the left hand side node, weighted by its coefficient.
+ * Several equations for the same node simply add their edges (parallel edges
+ * get unique ids). What is left is a constant: an equation without any node
+ * term sets the node's value (V_n1 = 8), otherwise the constant becomes a source
+ * node feeding the equation with weight 1 - y1<i> if it contains j, y2<i> if not.
+ * A constant that contains an identifier named like a node (starting with V or I,
+ * as V_n3 or ISC_n2) which is neither a node nor listed in options.parameters is
+ * rejected: it is almost always an input node that options.nodes should list.
+ */
+
+const FREQUENCY = ['w', 's', 'j'];
+// Names that look like node variables (V_n3, Vout, ISC_n2)
+const NODE_NAME = /^[VI]/;
+const CONSTANT = '';
+
+/**
+ * Parse and classify a list of equations
+ *
+ * @param list - list of equation strings
+ * @param options - nodes: identifiers to treat as node variables, e.g. input nodes that
+ *                    no equation defines
+ *                  parameters: identifiers to treat as parameters even if listed in nodes
+ * @returns {{equations: [{index, text, lhs, rhs, alias: boolean}], symbols: Object.<string, string>}}
+ *   rhs is the mathjs tree (aliases not yet substituted); symbols maps every identifier
+ *   to 'node', 'parameter', 'frequency' or 'alias'
+ * @throws EquationParseError if an equation cannot be parsed
+ */
+function parseEquations(list, options = {}) {
+  const equations = list.map((text, index) => parseEquation(text, index));
+  const forcedNodes = new Set(options.nodes || []);
+  const forcedParameters = new Set(options.parameters || []);
+  const lhsNodes = new Set(equations.filter(eq => !eq.alias).map(eq => eq.lhs));
+
+  let symbols = {};
+  const classify = (name) => {
+    if (FREQUENCY.includes(name) || name === 'jw')
+      return 'frequency';
+    if (equations.some(eq => eq.alias && eq.lhs === name))
+      return 'alias';
+    if (lhsNodes.has(name))
+      return 'node';
+    if (forcedNodes.has(name) && !forcedParameters.has(name))
+      return 'node';
+    return 'parameter';
+  };
+
+  equations.forEach((eq) => {
+    symbols[eq.lhs] = classify(eq.lhs);
+    identifiers(eq.rhs).forEach((name) => {
+      symbols[name] = classify(name);
+    });
+  });
+  return {equations, symbols};
+}
+
+/**
+ * @returns {{index, text, lhs, rhs, alias}}
+ */
+function parseEquation(text, index) {
+  const equation = String(text);
+  const fail = message => new errors.EquationParseError(message, {index, equation});
+  const sides = equation.split('=');
+  if (sides.length !== 2)
+    throw fail('expected an equation of the form lhs = rhs');
+
+  const lhs = sides[0].trim();
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(lhs))
+    throw fail('left hand side must be a variable');
+  if (FREQUENCY.includes(lhs) || lhs === 'jw')
+    throw fail(`${lhs} is a frequency symbol and cannot be defined`);
+
+  let rhs;
+  try {
+    rhs = math.parse(sides[1]);
+  } catch (e) {
+    throw fail(e.message);
+  }
+  if (rhs.isAssignmentNode || rhs.isFunctionAssignmentNode || rhs.isBlockNode)
+    throw fail('right hand side must be an expression');
+
+  return {index, text: equation, lhs, rhs, alias: /^DPI/.test(lhs)};
+}
+
+/**
+ * @returns list of the identifiers in an expression tree (function names excluded)
+ */
+function identifiers(node) {
+  let names = [];
+  node.traverse((n, path, parent) => {
+    if (n.isSymbolNode && !(parent && parent.isFunctionNode && path === 'fn') && !names.includes(n.name))
+      names.push(n.name);
+  });
+  return names;
+}
+
+/**
+ * Build the signal flow graph of a list of equations
+ *
+ * @param list - list of equation strings
+ * @param options - nodes, parameters: see parseEquations
+ * @returns {SignalFlowGraph}
+ * @throws EquationParseError if an equation cannot be parsed, is not linear in the node variables
+ *   or has a constant with an undefined identifier named like a node
+ */
+function equationsToGraph(list, options = {}) {
+  const {equations, symbols} = parseEquations(list, options);
+  const forcedParameters = new Set(options.parameters || []);
+  const aliases = resolveAliases(equations, symbols);
+  const graph = new SignalFlowGraph();
+
+  // Nodes: left hand sides first, then the nodes that only appear on a right hand side
+  equations.filter(eq => !eq.alias).forEach((eq) => {
+    if (!graph.hasNode(eq.lhs))
+      graph.addNode(eq.lhs, null);
+  });
+  equations.forEach((eq) => {
+    identifiers(eq.rhs).forEach((name) => {
+      if (symbols[name] === 'node' && !graph.hasNode(name))
+        graph.addNode(name, null);
+    });
+  });
+
+  const count = new Map();
+  equations.filter(eq => !eq.alias).forEach(eq => count.set(eq.lhs, (count.get(eq.lhs) || 0) + 1));
+
+  // R1 = 1000 defines a node; used as a factor it is almost always meant as a parameter
+  // (V_n1 = 8, named like a node, is a source node)
+  let numericNodes = new Map();
+  equations.filter(eq => !eq.alias && count.get(eq.lhs) === 1 && !NODE_NAME.test(eq.lhs)
+    && eq.rhs.isConstantNode && typeof eq.rhs.value === 'number')
+    .forEach(eq => numericNodes.set(eq.lhs, eq.rhs.toString()));
+
+  let sources = [];
+  equations.filter(eq => !eq.alias).forEach((eq) => {
+    const fail = (message, culprit) => {
+      const name = culprit && identifiers(culprit).find(n => numericNodes.has(n));
+      const value = numericNodes.get(name);
+      const hint = name ? ` (${name} = ${value} defines a node; for a parameter write param ${name} = ${value})` : '';
+      return new errors.EquationParseError(message + hint, {index: eq.index, equation: eq.text});
+    };
+    const rhs = substituteAliases(eq.rhs, aliases);
+    let real = [], imag = [], nodeTerms = 0;
+
+    additiveTerms(rhs).forEach((term) => {
+      const parts = linearize(term, symbols, fail);
+      parts.forEach((coefficient, node) => {
+        if (node === CONSTANT) {
+          (identifiers(coefficient).some(name => name === 'j' || name === 'jw') ? imag : real).push(coefficient);
+        } else {
+          graph.addEdge(new datamodel.Edge(expandShorthand(coefficient).toString(), node, eq.lhs));
+          nodeTerms++;
+        }
+      });
+    });
+
+    const undefinedNode = real.concat(imag).map(identifiers).flat()
+      .find(name => symbols[name] === 'parameter' && NODE_NAME.test(name) && !forcedParameters.has(name));
+    if (undefinedNode)
+      throw fail(`${undefinedNode} looks like a node variable but no equation defines it - pass it in `
+        + `options.nodes (or in options.parameters if it is a parameter)`);
+
+    const realValue = sum(real), imagValue = sum(imag);
+    if (nodeTerms === 0 && count.get(eq.lhs) === 1) {
+      // V_n1 = 8: the value of the node itself
+      const value = imag.length ? (real.length ? add(realValue, imagValue) : imagValue) : realValue;
+      graph.getNode(eq.lhs).value = value ? formatConstant(value) : '0';
+      return;
+    }
+    if (imag.length)
+      sources.push({id: `y1${eq.index}`, value: formatConstant(imagValue), end: eq.lhs});
+    if (real.length)
+      sources.push({id: `y2${eq.index}`, value: formatConstant(realValue), end: eq.lhs});
+  });
+
+  sources.forEach((source) => {
+    if (graph.hasNode(source.id))
+      throw new errors.InconsistentGraphError(`Constant source ${source.id} clashes with a node of the same name`, {nodeId: source.id});
+    graph.addNode(source.id, source.value);
+    graph.addEdge(new datamodel.Edge('1', source.id, source.end));
+  });
+
+  return graph;
+}
+
+/**
+ * Values of the DPI aliases, with aliases used inside other aliases substituted
+ *
+ * @returns Map alias -> expression tree
+ */
+function resolveAliases(equations, symbols) {
+  let raw = new Map();
+  equations.filter(eq => eq.alias).forEach((eq) => {
+    if (raw.has(eq.lhs))
+      throw new errors.EquationParseError(`${eq.lhs} is defined twice`, {index: eq.index, equation: eq.text});
+    raw.set(eq.lhs, eq);
+  });
+
+  let resolved = new Map();
+  const resolve = (name, visiting) => {
+    if (resolved.has(name))
+      return resolved.get(name);
+    const eq = raw.get(name);
+    if (visiting.includes(name))
+      throw new errors.EquationParseError(`${name} is defined in terms of itself`, {index: eq.index, equation: eq.text});
+    const used = identifiers(eq.rhs).filter(n => symbols[n] === 'alias');
+    let inner = new Map();
+    used.forEach(n => inner.set(n, resolve(n, visiting.concat([name]))));
+    const value = substituteAliases(eq.rhs, inner);
+    if (identifiers(value).some(n => symbols[n] === 'node'))
+      throw new errors.EquationParseError(`${name} must not depend on node variables`, {index: eq.index, equation: eq.text});
+    resolved.set(name, value);
+    return value;
+  };
+
+  raw.forEach((eq, name) => resolve(name, []));
+  return resolved;
+}
+
+function substituteAliases(node, aliases) {
+  if (!aliases.size)
+    return node;
+  return node.transform((n, path, parent) => {
+    if (n.isSymbolNode && aliases.has(n.name) && !(parent && parent.isFunctionNode && path === 'fn'))
+      return new math.ParenthesisNode(aliases.get(n.name));
+    return n;
+  });
+}
+
+/**
+ * Split an expression into its top-level terms, a - b giving a and -b
+ */
+function additiveTerms(node) {
+  if (node.isParenthesisNode)
+    return additiveTerms(node.content);
+  if (node.isOperatorNode && node.args.length === 2 && (node.fn === 'add' || node.fn === 'subtract')) {
+    const right = additiveTerms(node.args[1]);
+    return additiveTerms(node.args[0]).concat(node.fn === 'add' ? right : right.map(negate));
+  }
+  return [node];
+}
+
+/**
+ * Expand a term into coefficients of the node variables
+ *
+ * @param node - expression tree
+ * @param symbols - classification of the identifiers
+ * @param fail - function (message, culprit) -> error; culprit is the subtree that is not linear
+ * @returns Map node id (CONSTANT for the part without a node) -> coefficient tree
+ */
+function linearize(node, symbols, fail) {
+  if (node.isParenthesisNode)
+    return linearize(node.content, symbols, fail);
+  if (node.isSymbolNode && symbols[node.name] === 'node')
+    return new Map([[node.name, ONE]]);
+  if (!identifiers(node).some(name => symbols[name] === 'node'))
+    return new Map([[CONSTANT, node]]);
+
+  if (node.isOperatorNode) {
+    const [a, b] = node.args;
+    switch (node.fn) {
+      case 'unaryPlus':
+        return linearize(a, symbols, fail);
+      case 'unaryMinus':
+        return mapCoefficients(linearize(a, symbols, fail), negate);
+      case 'add':
+      case 'subtract': {
+        let result = linearize(a, symbols, fail);
+        linearize(b, symbols, fail).forEach((c, id) => {
+          const term = node.fn === 'add' ? c : negate(c);
+          result.set(id, result.has(id) ? add(result.get(id), term) : term);
+        });
+        return result;
+      }
+      case 'multiply': {
+        const left = linearize(a, symbols, fail), right = linearize(b, symbols, fail);
+        if (isConstant(left))
+          return mapCoefficients(right, c => multiply(left.get(CONSTANT), c));
+        if (isConstant(right))
+          return mapCoefficients(left, c => multiply(c, right.get(CONSTANT)));
+        throw fail(`${node.toString()} is not linear in the node variables`, node);
+      }
+      case 'divide': {
+        if (identifiers(b).some(name => symbols[name] === 'node'))
+          throw fail(`${node.toString()} divides by a node variable`, b);
+        return mapCoefficients(linearize(a, symbols, fail), c => divide(c, b));
+      }
+    }
+  }
+  throw fail(`${node.toString()} is not linear in the node variables`, node);
+}
+
+function isConstant(parts) {
+  return parts.size === 1 && parts.has(CONSTANT);
+}
+
+function mapCoefficients(parts, fn) {
+  let result = new Map();
+  parts.forEach((c, id) => result.set(id, fn(c)));
+  return result;
+}
+
+/*
+ * Builders for coefficient trees, skipping factors of 1 and -1
+ */
+const ONE = new math.ConstantNode(1);
+
+function isOne(node) {
+  return node.isConstantNode && node.value === 1;
+}
+
+function isMinusOne(node) {
+  return node.isConstantNode && node.value === -1;
+}
+
+function multiply(a, b) {
+  if (isOne(a))
+    return b;
+  if (isOne(b))
+    return a;
+  if (isMinusOne(a))
+    return negate(b);
+  if (isMinusOne(b))
+    return negate(a);
+  return new math.OperatorNode('*', 'multiply', [a, b]);
+}
+
+function divide(a, b) {
+  return new math.OperatorNode('/', 'divide', [a, b]);
+}
+
+function add(a, b) {
+  return new math.OperatorNode('+', 'add', [a, b]);
+}
+
+function negate(a) {
+  if (a.isConstantNode && typeof a.value === 'number')
+    return new math.ConstantNode(-a.value);
+  if (a.isOperatorNode && a.fn === 'unaryMinus')
+    return a.args[0];
+  return new math.OperatorNode('-', 'unaryMinus', [a]);
+}
+
+function sum(terms) {
+  return terms.length ? terms.reduce((acc, t) => add(acc, t)) : null;
+}
+
+/**
+ * Replace the jw shorthand by j * w
+ */
+function expandShorthand(node) {
+  return node.transform((n) => {
+    if (n.isSymbolNode && n.name === 'jw')
+      return new math.ParenthesisNode(multiply(new math.SymbolNode('j'), new math.SymbolNode('w')));
+    return n;
+  });
+}
+
+/**
+ * @returns the constant simplified and without redundant parentheses (3 - 2 gives 1)
+ */
+function formatConstant(node) {
+  return math.simplify(expandShorthand(node)).toString({parenthesis: 'auto'});
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  parseEquations, equationsToGraph
+};
@@ -0,0 +1,214 @@
+const math = require('mathjs');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const m1helper = require('./mason.js');
+const errors = require('./errors.js');
+const frequency = require('./frequency.js');
+const parameters = require('./params.js');
+const poly = require('./polynomial.js');
+const rational = require('./rational.js');
+
+/**
+ * Poles, zeros and root loci of transfer functions in s.
+ *
+ * Roots are found numerically (Durand-Kerner, see polynomial.js). Roots that
+ * lie within a relative tolerance of each other are merged into one root with
+ * a multiplicity; the merged value is refined with Newton's method on the
+ * (multiplicity - 1)th derivative, where it is a simple root.
+ *
+ * Every root is reported as {re, im, multiplicity, naturalFrequency, damping}
+ * with naturalFrequency = |p| and damping = -Re(p) / |p| (null for p = 0).
+ */
+
+// Roots closer than this (relative to their magnitude) count as one multiple root
+const MULTIPLICITY_TOLERANCE = 1e-4;
+// Imaginary parts below this fraction of the magnitude are dropped
+const REAL_TOLERANCE = 1e-9;
+
+/**
+ * @param tf - rational function {num, den} (descending coefficient arrays, e.g. from
+ *             toRational) or a transfer function {n, d} (e.g. from computeMasons)
+ * @param options - params: values of the symbols other than s, w and j (for {n, d});
+ *                  tolerance: relative tolerance of common factor cancellation (see toRational);
+ *                  multiplicityTolerance: relative distance under which roots are merged (default 1e-4)
+ * @returns {{zeros, poles, gain, stable}} zeros and poles sorted by natural frequency;
+ *   gain: ratio of the leading coefficients; stable: every pole has a negative real part
+ * @throws EvaluationError if {n, d} cannot be written as a rational function of s
+ */
+function polesZeros(tf, options = {}) {
+  const r = tf.num && tf.den ? tf : rational.toRational(tf, options.params, options);
+  const num = poly.fromCoefficients(r.num);
+  const den = poly.fromCoefficients(r.den);
+  if (poly.isZero(den))
+    throw new errors.EvaluationError('Denominator is zero');
+
+  const poles = findRoots(den, options);
+  const gain = poly.isZero(num) ? 0 : toNumber(math.divide(num[num.length - 1], den[den.length - 1]));
+  return {
+    zeros: findRoots(num, options),
+    poles,
+    gain,
+    stable: poles.every(p => p.re < 0)
+  };
+}
+
+/**
+ * Closed-loop poles while an edge weight or a parameter is swept
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param gainSymbol - edge id (its weight takes the values) or symbol name
+ * @param range - list of values, or {from, to, steps (default 50), scale: 'linear' (default) or 'log'}
+ * @param options - start, end: poles of the transfer function from start to end; without them
+ *                  the roots of the graph determinant (delta = 0) are tracked
+ *                  params: values of the other symbols
+ *                  tolerance, multiplicityTolerance: see polesZeros
+ * @returns {{parameter, kind: 'edge'|'symbol', values, poles, branches}}
+ *   poles[i] lists the poles for values[i]; branches lists the loci, one {re, im} (or null where
+ *   the branch does not exist) per value, each branch continuing with the nearest pole
+ * @throws SfgError if gainSymbol is neither an edge id nor a symbol of the edge weights
+ */
+function rootLocus(nodes, gainSymbol, range, options = {}) {
+  let graph = SignalFlowGraph.from(nodes);
+  let kind, symbol;
+  if (graph.getEdge(gainSymbol)) {
+    kind = 'edge';
+    graph = graph.clone();
+    symbol = parameters.freshSymbols(graph, 1)[0];
+    graph.getEdge(gainSymbol).weight = symbol;
+  } else if (parameters.freeSymbols(graph).includes(gainSymbol)) {
+    kind = 'symbol';
+    symbol = gainSymbol;
+  } else {
+    throw new errors.SfgError(`${gainSymbol} is neither an edge id nor a symbol of the edge weights`, {target: gainSymbol});
+  }
+
+  const values = Array.isArray(range) ? range : frequency.frequencyGrid({
+    wStart: range.from,
+    wStop: range.to,
+    points: range.steps || 50,
+    scale: range.scale || 'linear'
+  });
+
+  // The characteristic expression is derived once; each value only evaluates it
+  let tf;
+  if (options.start !== undefined && options.end !== undefined) {
+    const gain = m1helper.calculateNodeGain(options.start, options.end, graph);
+    tf = {n: gain.n, d: gain.d};
+  } else {
+    tf = {n: '1', d: m1helper.calculateDelta(graph)};
+  }
+
+  const poles = values.map((value) => {
+    const params = Object.assign({}, options.params, {[symbol]: value});
+    const r = rational.toRational(tf, params, options);
+    let list = [];
+    findRoots(poly.fromCoefficients(r.den), options).forEach((p) => {
+      for (let k = 0; k < p.multiplicity; k++)
+        list.push({re: p.re, im: p.im});
+    });
+    return list;
+  });
+
+  return {parameter: gainSymbol, kind, values, poles, branches: trackBranches(poles)};
+}
+
+/**
+ * @returns list of roots with multiplicities, sorted by natural frequency
+ */
+function findRoots(p, options) {
+  const tolerance = options.multiplicityTolerance || MULTIPLICITY_TOLERANCE;
+  let clusters = [];
+  poly.roots(p).forEach((root) => {
+    const cluster = clusters.find(c => math.abs(math.subtract(c.center, root)) <= tolerance * Math.max(1, math.abs(root)));
+    if (cluster) {
+      cluster.members.push(root);
+      cluster.center = math.divide(cluster.members.reduce((a, b) => math.add(a, b)), cluster.members.length);
+    } else {
+      clusters.push({center: root, members: [root]});
+    }
+  });
+
+  return clusters.map((c) => {
+    const multiplicity = c.members.length;
+    const value = multiplicity > 1 ? refine(p, c.center, multiplicity) : c.center;
+    const magnitude = math.abs(value);
+    const re = value.re;
+    const im = Math.abs(value.im) <= REAL_TOLERANCE * magnitude ? 0 : value.im;
+    return {
+      re,
+      im,
+      multiplicity,
+      naturalFrequency: magnitude,
+      damping: magnitude ? -re / magnitude : null
+    };
+  }).sort((a, b) => a.naturalFrequency - b.naturalFrequency || a.im - b.im);
+}
+
+/**
+ * Newton's method on the (multiplicity - 1)th derivative of p, which has a simple root at a root of p of that multiplicity
+ */
+function refine(p, start, multiplicity) {
+  let q = p;
+  for (let i = 1; i < multiplicity; i++)
+    q = poly.derivative(q);
+  const dq = poly.derivative(q);
+
+  let z = start;
+  for (let i = 0; i < 20; i++) {
+    const slope = poly.evaluate(dq, z);
+    if (math.abs(slope) === 0)
+      break;
+    const step = math.divide(poly.evaluate(q, z), slope);
+    z = math.subtract(z, step);
+    if (math.abs(step) <= 1e-15 * Math.max(1, math.abs(z)))
+      break;
+  }
+  return z;
+}
+
+/**
+ * Order the poles of consecutive values into continuous branches: every branch
+ * is continued with the nearest pole that is still free (closest pairs first);
+ * poles left over start new branches
+ */
+function trackBranches(poles) {
+  let branches = [];
+  poles.forEach((step, i) => {
+    let pairs = [];
+    branches.forEach((branch, b) => {
+      const last = branch[i - 1];
+      if (last)
+        step.forEach((p, k) => pairs.push({b, k, distance: Math.hypot(p.re - last.re, p.im - last.im)}));
+    });
+    pairs.sort((x, y) => x.distance - y.distance);
+
+    let used = new Set();
+    let continued = new Set();
+    pairs.forEach(({b, k}) => {
+      if (used.has(k) || continued.has(b))
+        return;
+      branches[b][i] = step[k];
+      used.add(k);
+      continued.add(b);
+    });
+    branches.forEach((branch) => {
+      if (branch.length === i)
+        branch.push(null);
+    });
+    step.forEach((p, k) => {
+      if (!used.has(k))
+        branches.push(new Array(i).fill(null).concat([p]));
+    });
+  });
+  return branches;
+}
+
+function toNumber(c) {
+  return Math.abs(c.im) <= REAL_TOLERANCE * math.abs(c) ? c.re : c;
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  polesZeros, rootLocus
+};
@@ -0,0 +1,255 @@
+const math = require('mathjs');
+
+/**
+ * Polynomials with complex coefficients, stored in ascending order:
+ * [c0, c1, c2] is c0 + c1 x + c2 x^2. The zero polynomial is [].
+ *
+ * Coefficient arrays handed to or returned from the public API are in the
+ * usual descending order (see fromCoefficients / toCoefficients).
+ */
+
+// Imaginary parts below this fraction of the largest coefficient are dropped when exporting
+const REAL_TOLERANCE = 1e-12;
+
+/**
+ * @param coefficients - descending list of numbers or Complex values
+ * @returns polynomial (ascending list of Complex)
+ */
+function fromCoefficients(coefficients) {
+  return trim(coefficients.slice().reverse().map(c => math.complex(c)));
+}
+
+/**
+ * @param p - polynomial
+ * @returns descending list of coefficients - numbers when every coefficient is (numerically) real
+ */
+function toCoefficients(p) {
+  const scale = Math.max(0, ...p.map(c => math.abs(c)));
+  const real = p.every(c => Math.abs(c.im) <= REAL_TOLERANCE * scale);
+  return p.slice().reverse().map(c => (real ? c.re : c));
+}
+
+/**
+ * Drop the highest order coefficients that are zero (or below tolerance times the largest coefficient)
+ */
+function trim(p, tolerance = 0) {
+  const scale = Math.max(0, ...p.map(c => math.abs(c)));
+  let end = p.length;
+  while (end > 0 && math.abs(p[end - 1]) <= tolerance * scale)
+    end--;
+  return p.slice(0, end);
+}
+
+function constant(c) {
+  return trim([math.complex(c)]);
+}
+
+/**
+ * @returns degree of the polynomial (-Infinity for the zero polynomial)
+ */
+function degree(p) {
+  return p.length ? p.length - 1 : -Infinity;
+}
+
+function isZero(p) {
+  return p.length === 0;
+}
+
+function add(a, b) {
+  let result = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++)
+    result.push(math.add(a[i] || math.complex(0), b[i] || math.complex(0)));
+  return trim(result);
+}
+
+function scale(p, c) {
+  return trim(p.map(x => math.multiply(x, c)));
+}
+
+function negate(p) {
+  return scale(p, -1);
+}
+
+function subtract(a, b) {
+  return add(a, negate(b));
+}
+
+function multiply(a, b) {
+  if (!a.length || !b.length)
+    return [];
+  let result = new Array(a.length + b.length - 1).fill(null).map(() => math.complex(0));
+  a.forEach((x, i) => {
+    b.forEach((y, k) => {
+      result[i + k] = math.add(result[i + k], math.multiply(x, y));
+    });
+  });
+  return trim(result);
+}
+
+function power(p, n) {
+  let result = constant(1);
+  for (let i = 0; i < n; i++)
+    result = multiply(result, p);
+  return result;
+}
+
+function derivative(p) {
+  return trim(p.slice(1).map((c, i) => math.multiply(c, i + 1)));
+}
+
+/**
+ * Polynomial long division
+ *
+ * @param a - dividend
+ * @param b - divisor (not the zero polynomial)
+ * @returns {{quotient, remainder}} with a = quotient * b + remainder
+ */
+function divide(a, b) {
+  const lead = b[b.length - 1];
+  let remainder = a.slice();
+  let quotient = new Array(Math.max(0, a.length - b.length + 1)).fill(null).map(() => math.complex(0));
+  for (let i = a.length - b.length; i >= 0; i--) {
+    const q = math.divide(remainder[i + b.length - 1], lead);
+    quotient[i] = q;
+    b.forEach((c, k) => {
+      remainder[i + k] = math.subtract(remainder[i + k], math.multiply(q, c));
+    });
+    remainder[i + b.length - 1] = math.complex(0);
+  }
+  return {quotient: trim(quotient), remainder: trim(remainder)};
+}
+
+/**
+ * @returns p divided by its leading coefficient
+ */
+function monic(p) {
+  return p.length ? scale(p, math.divide(1, p[p.length - 1])) : p;
+}
+
+/**
+ * Greatest common divisor (monic) by Euclid's algorithm. A remainder whose
+ * coefficients are all below tolerance times the largest coefficient of the
+ * dividend counts as zero, so factors that are common up to rounding are found.
+ *
+ * @param a - polynomial
+ * @param b - polynomial
+ * @param tolerance - relative tolerance (default 1e-9)
+ * @returns monic polynomial, [1] when a and b have no common factor
+ */
+function gcd(a, b, tolerance = 1e-9) {
+  let x = monic(a), y = monic(b);
+  if (x.length < y.length)
+    [x, y] = [y, x];
+  while (y.length) {
+    const scale = Math.max(...x.map(c => math.abs(c)));
+    let r = divide(x, y).remainder;
+    if (r.every(c => math.abs(c) <= tolerance * scale))
+      r = [];
+    x = y;
+    y = monic(trim(r, tolerance));
+  }
+  return x.length ? x : constant(1);
+}
+
+/**
+ * Value of the polynomial at x (Horner's scheme)
+ *
+ * @param p - polynomial
+ * @param x - number or Complex
+ * @returns {Complex}
+ */
+function evaluate(p, x) {
+  let result = math.complex(0);
+  for (let i = p.length - 1; i >= 0; i--)
+    result = math.add(math.multiply(result, x), p[i]);
+  return result;
+}
+
+/**
+ * All complex roots, found simultaneously with the Durand-Kerner (Weierstrass)
+ * iteration. Roots at zero are split off exactly first. Multiple roots come
+ * back as a cluster of nearby values (accurate to about eps^(1/multiplicity)).
+ *
+ * @param p - polynomial
+ * @param options - maxIterations (default 1000), tolerance: relative size of the
+ *                  last correction at which the iteration stops (default 1e-14)
+ * @returns list of Complex, one per root (degree of p in total)
+ */
+function roots(p, options = {}) {
+  const maxIterations = options.maxIterations || 1000;
+  const tolerance = options.tolerance || 1e-14;
+
+  let q = trim(p);
+  let result = [];
+  while (q.length > 1 && math.abs(q[0]) === 0) {
+    result.push(math.complex(0));
+    q = q.slice(1);
+  }
+  const n = q.length - 1;
+  if (n < 1)
+    return result;
+  q = monic(q);
+
+  // Start on a circle given by Fujiwara's bound on the root magnitudes, at angles off the real axis
+  let bound = 0;
+  for (let k = 1; k <= n; k++)
+    bound = Math.max(bound, Math.pow(math.abs(q[n - k]) / (k === n ? 2 : 1), 1 / k));
+  let z = [];
+  for (let k = 0; k < n; k++)
+    z.push(math.multiply(2 * bound, math.exp(math.complex(0, 2 * Math.PI * k / n + 0.4))));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let converged = true;
+    for (let k = 0; k < n; k++) {
+      let denominator = math.complex(1);
+      for (let m = 0; m < n; m++) {
+        if (m !== k)
+          denominator = math.multiply(denominator, math.subtract(z[k], z[m]));
+      }
+      if (math.abs(denominator) === 0)
+        denominator = math.complex(tolerance);
+      const correction = math.divide(evaluate(q, z[k]), denominator);
+      z[k] = math.subtract(z[k], correction);
+      if (math.abs(correction) > tolerance * Math.max(1, math.abs(z[k])))
+        converged = false;
+    }
+    if (converged)
+      break;
+  }
+  return result.concat(z);
+}
+
+/**
+ * @param p - polynomial
+ * @param variable - name of the variable (default s)
+ * @returns {string} e.g. 2 * s^2 + 3 * s + 1, parseable by mathjs
+ */
+function toString(p, variable = 's') {
+  if (!p.length)
+    return '0';
+
+  const coefficients = toCoefficients(p);
+  let terms = [];
+  coefficients.forEach((c, i) => {
+    const order = coefficients.length - 1 - i;
+    if (math.abs(c) === 0)
+      return;
+    const value = typeof c === 'number' ? String(c) : `(${c.toString().replace(/i$/, 'j')})`;
+    const x = order === 0 ? '' : (order === 1 ? variable : `${variable}^${order}`);
+    if (x === '')
+      terms.push(value);
+    else if (value === '1' || value === '-1')
+      terms.push(value === '1' ? x : `-${x}`);
+    else
+      terms.push(`${value} * ${x}`);
+  });
+  return terms.join(' + ').replace(/\+ -/g, '- ');
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  fromCoefficients, toCoefficients, trim, constant, degree, isZero,
+  add, subtract, negate, scale, multiply, power, derivative, divide, monic, gcd, roots, evaluate, toString
+};
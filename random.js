@@ -0,0 +1,42 @@
+/**
+ * Seeded random numbers, so that randomized checks and Monte Carlo runs can be
+ * reproduced exactly.
+ */
+
+/**
+ * Small seeded random number generator (mulberry32)
+ *
+ * @param seed - integer
+ * @returns function () -> number in [0, 1)
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal samples from a uniform generator (Box-Muller)
+ *
+ * @param random - function () -> number in [0, 1)
+ * @returns function () -> number
+ */
+function gaussian(random) {
+  return () => {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  mulberry32, gaussian
+};
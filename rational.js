@@ -0,0 +1,237 @@
+const math = require('mathjs');
+const poly = require('./polynomial.js');
+const errors = require('./errors.js');
+const frequency = require('./frequency.js');
+
+/**
+ * Transfer functions as rational functions of the Laplace variable s.
+ *
+ * An expression (an edge weight, or the n and d of computeMasons) is turned
+ * into a ratio of two polynomials in s by walking its mathjs tree: sums,
+ * products, quotients and integer powers are carried out on polynomials, so
+ * nested fractions such as 1/(1 + 1/(s*C*R)) are cleared on the way. Every
+ * subtree without s is evaluated to a (complex) number, so all the other
+ * symbols need a value in params; j is the imaginary unit. Expressions in the
+ * jw form are mapped to s with w = -j s.
+ *
+ * The coefficients are numbers only: symbolic coefficients (s^2 + R1 C1 s + 1
+ * with R1 and C1 kept free) are not supported. Use computeMasons for the
+ * symbolic transfer function and bindParameters to substitute some values.
+ *
+ * The result is {num, den}: descending coefficient arrays, [1, 2, 3] being
+ * s^2 + 2 s + 3. A transfer function is also normalized (see toRational):
+ * common factors of numerator and denominator are cancelled and the
+ * denominator is made monic. Evaluating it on the imaginary axis (s = jw) is
+ * a separate step - see evaluate and toExpressions.
+ */
+
+const J = math.complex(0, 1);
+// Default relative tolerance of the common factor search and of dropping leading coefficients
+const TOLERANCE = 1e-9;
+
+/**
+ * @param expr - Expression object or string
+ * @param params - numeric values of every symbol other than s, w and j
+ * @returns {{num: [coefficients], den: [coefficients]}} (monic denominator, common factors are kept)
+ * @throws EvaluationError if a symbol has no value or the expression is not rational in s
+ */
+function fromExpression(expr, params = {}) {
+  return exportRational(rationalOf(parse(expr, params), params, expr.toString()));
+}
+
+/**
+ * Transfer function n / d (e.g. the result of computeMasons) in canonical form:
+ * a ratio of polynomials in s without common factors and with a monic denominator
+ *
+ * @param tf - object with n and d (Expression objects or strings)
+ * @param params - numeric values of every symbol other than s, w and j (the coefficients
+ *                 are numbers, symbolic coefficients are not supported)
+ * @param options - tolerance: relative tolerance of the common factor search (default 1e-9); leading
+ *                  coefficients below tolerance times the largest coefficient of their polynomial
+ *                  are rounding residue of terms that cancel and are dropped
+ * @returns {{num, den, order, dcGain, cancelled, n, d}}
+ *   num, den: descending coefficient arrays; order: degree of the denominator;
+ *   dcGain: H(0) (Infinity with a pole at s = 0); cancelled: coefficients of the common
+ *   factor that was removed ([1] if none); n, d: the polynomials as strings
+ * @throws EvaluationError if a symbol has no value, the transfer function is not rational
+ *   in s or its denominator is zero
+ */
+function toRational(tf, params = {}, options = {}) {
+  const n = rationalOf(parse(tf.n, params), params, tf.n.toString());
+  const d = rationalOf(parse(tf.d, params), params, tf.d.toString());
+  if (poly.isZero(d.num))
+    throw new errors.EvaluationError(`Denominator ${tf.d.toString()} is zero`, {expression: tf.d.toString()});
+  const tolerance = options.tolerance === undefined ? TOLERANCE : options.tolerance;
+  let r = divide(n, d);
+  r = {num: poly.trim(r.num, tolerance), den: poly.trim(r.den, tolerance)};
+  let common = poly.constant(1);
+
+  if (poly.isZero(r.num)) {
+    r = {num: [], den: poly.constant(1)};
+  } else {
+    common = poly.gcd(r.num, r.den, tolerance);
+    if (poly.degree(common) > 0)
+      r = {num: poly.divide(r.num, common).quotient, den: poly.divide(r.den, common).quotient};
+  }
+
+  let result = exportRational(r);
+  const num0 = poly.evaluate(r.num, 0);
+  const den0 = poly.evaluate(r.den, 0);
+  const dc = math.abs(den0) === 0 ? Infinity : math.divide(num0, den0);
+  return Object.assign(result, {
+    order: poly.degree(r.den),
+    dcGain: typeof dc === 'number' || Math.abs(dc.im) > 1e-12 * math.abs(dc) ? dc : dc.re,
+    cancelled: poly.toCoefficients(common)
+  }, toExpressions(result));
+}
+
+/**
+ * Parse expr and check that every symbol other than s, w, j and the constants
+ * of mathjs (pi, e, ...) has a value in params
+ */
+function parse(expr, params) {
+  const str = expr.toString();
+  let node;
+  try {
+    node = math.parse(str);
+  } catch (e) {
+    throw new errors.EvaluationError(`Cannot parse ${str}: ${e.message}`, {expression: str});
+  }
+  node.traverse((n, path, parent) => {
+    if (n.isSymbolNode && !(parent && parent.isFunctionNode && path === 'fn')
+      && !['s', 'w', 'j'].includes(n.name) && params[n.name] === undefined && typeof math[n.name] !== 'number')
+      throw new errors.EvaluationError(`No value for ${n.name} in ${str} - the rational form in s needs a numeric `
+        + 'value for every symbol other than s, w and j (pass it in params)', {expression: str, symbol: n.name});
+  });
+  return node;
+}
+
+/**
+ * @returns {{num: polynomial, den: polynomial}} (ascending, see polynomial.js)
+ */
+function rationalOf(node, params, expression) {
+  const fail = message => new errors.EvaluationError(`${message} in ${expression}`, {expression});
+
+  if (node.isParenthesisNode)
+    return rationalOf(node.content, params, expression);
+  if (node.isSymbolNode && node.name === 's')
+    return {num: poly.fromCoefficients([1, 0]), den: poly.constant(1)};
+  if (node.isSymbolNode && node.name === 'w')
+    return {num: poly.fromCoefficients([math.complex(0, -1), 0]), den: poly.constant(1)};
+
+  if (!dependsOnS(node)) {
+    // A constant subtree - e.g. R*C, or 1/(1 + K) - is folded into one coefficient
+    const value = frequency.compileExpression(node)(Object.assign({}, params, {j: J}));
+    return {num: poly.constant(value), den: poly.constant(1)};
+  }
+
+  if (node.isOperatorNode) {
+    const args = node.args.map(a => (a.isParenthesisNode ? a.content : a));
+    switch (node.fn) {
+      case 'unaryPlus':
+        return rationalOf(args[0], params, expression);
+      case 'unaryMinus': {
+        const a = rationalOf(args[0], params, expression);
+        return {num: poly.negate(a.num), den: a.den};
+      }
+      case 'add':
+        return add(rationalOf(args[0], params, expression), rationalOf(args[1], params, expression));
+      case 'subtract': {
+        const b = rationalOf(args[1], params, expression);
+        return add(rationalOf(args[0], params, expression), {num: poly.negate(b.num), den: b.den});
+      }
+      case 'multiply':
+        return multiply(rationalOf(args[0], params, expression), rationalOf(args[1], params, expression));
+      case 'divide': {
+        const b = rationalOf(args[1], params, expression);
+        if (poly.isZero(b.num))
+          throw fail(`Division by zero (${args[1].toString()})`);
+        return divide(rationalOf(args[0], params, expression), b);
+      }
+      case 'pow': {
+        if (dependsOnS(args[1]))
+          throw fail(`${node.toString()} is not rational in s`);
+        const exponent = frequency.compileExpression(args[1])(params);
+        const n = exponent.re;
+        if (exponent.im !== 0 || !Number.isInteger(n))
+          throw fail(`${node.toString()} needs an integer exponent`);
+        const base = rationalOf(args[0], params, expression);
+        const p = {num: poly.power(base.num, Math.abs(n)), den: poly.power(base.den, Math.abs(n))};
+        return n >= 0 ? p : {num: p.den, den: p.num};
+      }
+    }
+  }
+  throw fail(`${node.toString()} is not rational in s`);
+}
+
+function dependsOnS(node) {
+  let found = false;
+  node.traverse((n, path, parent) => {
+    if (n.isSymbolNode && (n.name === 's' || n.name === 'w') && !(parent && parent.isFunctionNode && path === 'fn'))
+      found = true;
+  });
+  return found;
+}
+
+function add(a, b) {
+  return {
+    num: poly.add(poly.multiply(a.num, b.den), poly.multiply(b.num, a.den)),
+    den: poly.multiply(a.den, b.den)
+  };
+}
+
+function multiply(a, b) {
+  return {num: poly.multiply(a.num, b.num), den: poly.multiply(a.den, b.den)};
+}
+
+function divide(a, b) {
+  return {num: poly.multiply(a.num, b.den), den: poly.multiply(a.den, b.num)};
+}
+
+/**
+ * Scale numerator and denominator so that the denominator is monic
+ */
+function exportRational(r) {
+  const lead = r.den[r.den.length - 1];
+  return {
+    num: poly.toCoefficients(poly.scale(r.num, math.divide(1, lead))),
+    den: poly.toCoefficients(poly.scale(r.den, math.divide(1, lead)))
+  };
+}
+
+/**
+ * Value of a rational function at s
+ *
+ * @param r - {num, den} descending coefficient arrays
+ * @param s - number or Complex
+ * @returns {Complex}
+ */
+function evaluateAt(r, s) {
+  return math.divide(poly.evaluate(poly.fromCoefficients(r.num), s), poly.evaluate(poly.fromCoefficients(r.den), s));
+}
+
+/**
+ * Frequency response H(jw) of a rational function
+ *
+ * @param r - {num, den} descending coefficient arrays
+ * @param w - angular frequency in rad/s
+ * @returns {Complex}
+ */
+function evaluate(r, w) {
+  return evaluateAt(r, math.complex(0, w));
+}
+
+/**
+ * @param r - {num, den} descending coefficient arrays
+ * @returns {{n: string, d: string}} polynomials in s, e.g. for frequency.frequencyResponse
+ */
+function toExpressions(r) {
+  return {n: poly.toString(poly.fromCoefficients(r.num)), d: poly.toString(poly.fromCoefficients(r.den))};
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  fromExpression, toRational, evaluate, evaluateAt, toExpressions
+};
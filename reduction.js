@@ -0,0 +1,220 @@
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const m1helper = require('./mason.js');
+const fraction = require('./fraction.js');
+const errors = require('./errors.js');
+
+/**
+ * Graph reduction engine - an alternative to Mason's rule that does not
+ * enumerate loops.
+ *
+ * A virtual input u is connected to the start node with weight 1, then every
+ * node other than u and the end node is eliminated, one at a time:
+ *   - parallel edges a -> b are added into a single edge
+ *   - a self-loop L on node k is removed by dividing the edges into k by (1 - L)
+ *   - node k is absorbed: every pair of edges i -> k (a) and k -> j (b) is
+ *     replaced by an edge i -> j with weight a * b (a series reduction when k
+ *     has only one edge in and one edge out)
+ * What remains is u -> end (G) and possibly a self-loop L on end, so that
+ * end/u = G / (1 - L). Nodes with the fewest in * out edge pairs are absorbed
+ * first to keep the expressions small.
+ *
+ * When start is not a source node the gain is, as in calculateNodeGain, the
+ * ratio of the reductions from a source node to end and to start.
+ */
+
+/**
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param start - start node id
+ * @param end - end node id
+ * @param options - source: source node to use when start is not a source node
+ *                  log: also return every reduction step
+ * @returns {{n, d, method: 'reduction', source, steps}} n and d are Expression objects;
+ *   steps (only with log) is a list of {type, target, text, ...} where type is
+ *   'parallel', 'self-loop', 'series' or 'absorb' and target the node being solved for
+ * @throws UnknownNodeError if start or end is not in the graph
+ * @throws NoForwardPathError if end cannot be reached from start, or no source node reaches start
+ */
+function reduceGraph(nodes, start, end, options = {}) {
+  const graph = SignalFlowGraph.from(nodes);
+  [start, end].forEach((id) => {
+    if (!graph.hasNode(id))
+      throw new errors.UnknownNodeError(id);
+  });
+  let steps = options.log ? [] : null;
+
+  // Whether a path exists is decided on the graph: paths whose gains cancel give a zero gain, as in computeMasons
+  if (m1helper.isSourceNode(graph, start) && !options.source) {
+    if (!m1helper.reaches(graph, start, end))
+      throw new errors.NoForwardPathError(start, end);
+    const gain = reduceBetween(graph, start, end, steps);
+    return Object.assign(gain, {method: 'reduction', source: start, steps});
+  }
+
+  let source = options.source;
+  if (source === undefined)
+    source = m1helper.findDrivingSource(start, end, graph);
+  else if (!graph.hasNode(source))
+    throw new errors.UnknownNodeError(source);
+
+  if (!m1helper.reaches(graph, source, start))
+    throw new errors.NoForwardPathError(source, start);
+  const toEnd = reduceBetween(graph, source, end, steps);
+  const toStart = reduceBetween(graph, source, start, steps);
+
+  return Object.assign(fraction.divide(toEnd, toStart), {method: 'reduction', source, steps});
+}
+
+/**
+ * Reduce the graph to the gain from an input injected at node `from` to node `to`
+ *
+ * @returns {{n, d}}
+ */
+function reduceBetween(graph, from, to, steps) {
+  let input = `IN_${from}`;
+  while (graph.hasNode(input))
+    input += '_';
+
+  let work = new ReducedGraph(steps, to);
+  graph.nodeIds().forEach(id => work.addNode(id));
+  work.addNode(input);
+  work.addEdge(input, from, fraction.fraction(1));
+  graph.edges.forEach((e) => {
+    if (graph.hasNode(e.endNode))
+      work.addEdge(e.startNode, e.endNode, fraction.fraction(e.weight), e.id);
+  });
+
+  let remaining = graph.nodeIds().filter(id => id !== to);
+  while (remaining.length) {
+    // Cheapest node first: fewest new edges created by absorbing it
+    let best = 0, bestCost = Infinity;
+    remaining.forEach((id, i) => {
+      const cost = work.predecessors(id).length * work.successors(id).length;
+      if (cost < bestCost) {
+        best = i;
+        bestCost = cost;
+      }
+    });
+    work.absorb(remaining[best]);
+    remaining.splice(best, 1);
+  }
+
+  work.removeSelfLoop(to);
+  return work.getEdge(input, to) || fraction.fraction(0);
+}
+
+/**
+ * Graph with a single edge (a fraction) per ordered pair of nodes, used as the
+ * scratch space of the reduction
+ *
+ * @param steps - list to log the reduction steps to, or null
+ * @param target - node id the reduction solves for (recorded in each step)
+ * @constructor
+ */
+function ReducedGraph(steps, target) {
+  this.out = new Map();
+  this.in = new Map();
+  this.steps = steps;
+  this.target = target;
+}
+
+ReducedGraph.prototype.addNode = function(id) {
+  this.out.set(id, new Map());
+  this.in.set(id, new Map());
+};
+
+ReducedGraph.prototype.getEdge = function(from, to) {
+  return this.out.get(from).get(to);
+};
+
+/**
+ * Add an edge, combining it with an existing edge between the same nodes
+ */
+ReducedGraph.prototype.addEdge = function(from, to, weight, label) {
+  const existing = this.getEdge(from, to);
+  if (existing) {
+    weight = fraction.add(existing, weight);
+    this.log(() => ({type: 'parallel', from, to, weight: fraction.toString(weight),
+      text: `Combine parallel edges ${from} -> ${to}${label ? ` (adding ${label})` : ''}`}));
+  }
+  this.out.get(from).set(to, weight);
+  this.in.get(to).set(from, weight);
+};
+
+ReducedGraph.prototype.removeEdge = function(from, to) {
+  this.out.get(from).delete(to);
+  this.in.get(to).delete(from);
+};
+
+ReducedGraph.prototype.predecessors = function(id) {
+  return [...this.in.get(id).keys()].filter(p => p !== id);
+};
+
+ReducedGraph.prototype.successors = function(id) {
+  return [...this.out.get(id).keys()].filter(s => s !== id);
+};
+
+/**
+ * Replace a self-loop L on a node by dividing the edges into the node by (1 - L)
+ */
+ReducedGraph.prototype.removeSelfLoop = function(id) {
+  const loop = this.getEdge(id, id);
+  if (!loop)
+    return;
+
+  this.removeEdge(id, id);
+  const factor = fraction.subtract(fraction.fraction(1), loop);
+  this.predecessors(id).forEach((p) => {
+    const weight = fraction.divide(this.getEdge(p, id), factor);
+    this.out.get(p).set(id, weight);
+    this.in.get(id).set(p, weight);
+  });
+  this.log(() => ({type: 'self-loop', node: id, loop: fraction.toString(loop),
+    text: `Eliminate the self-loop on ${id}: incoming edges divided by 1 - (${fraction.toString(loop)})`}));
+};
+
+/**
+ * Eliminate a node, connecting each of its predecessors to each of its successors
+ */
+ReducedGraph.prototype.absorb = function(id) {
+  this.removeSelfLoop(id);
+  const preds = this.predecessors(id);
+  const succs = this.successors(id);
+  const type = preds.length === 1 && succs.length === 1 ? 'series' : 'absorb';
+  let edges = [];
+
+  preds.forEach((p) => {
+    succs.forEach((s) => {
+      edges.push({from: p, to: s, weight: fraction.multiply(this.getEdge(p, id), this.getEdge(id, s))});
+    });
+  });
+  preds.forEach(p => this.removeEdge(p, id));
+  succs.forEach(s => this.removeEdge(id, s));
+  this.out.delete(id);
+  this.in.delete(id);
+
+  if (type === 'series') {
+    this.log(() => ({type, node: id, from: preds[0], to: succs[0], weight: fraction.toString(edges[0].weight),
+      text: `Combine the series edges ${preds[0]} -> ${id} -> ${succs[0]}`}));
+  } else {
+    this.log(() => ({type, node: id, edges: edges.map(e => ({from: e.from, to: e.to, weight: fraction.toString(e.weight)})),
+      text: edges.length
+        ? `Absorb ${id}: ${edges.map(e => `${e.from} -> ${e.to}`).join(', ')}`
+        : `Remove ${id}, which has no ${preds.length ? 'outgoing' : 'incoming'} edges`}));
+  }
+  edges.forEach(e => this.addEdge(e.from, e.to, e.weight, `${e.from} -> ${id} -> ${e.to}`));
+};
+
+/**
+ * @param step - function returning the step, only called when steps are logged
+ */
+ReducedGraph.prototype.log = function(step) {
+  if (this.steps)
+    this.steps.push(Object.assign({target: this.target}, step()));
+};
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  reduceGraph
+};
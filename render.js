@@ -0,0 +1,338 @@
+const math = require('mathjs');
+
+/**
+ * Renderers for the derivation returned by computeMasons(..., {explain: true}).
+ *
+ * Expressions are parsed with mathjs and printed by a small LaTeX writer of our own:
+ * ids like V_n2 become V_{n2}, w becomes \omega (so j*w prints as j\omega),
+ * products are written by juxtaposition and divisions as \frac.
+ */
+
+// Operator precedence used to decide where parentheses are needed
+const PREC_ADD = 1, PREC_NEG = 1.5, PREC_MUL = 2, PREC_ATOM = 5;
+
+/**
+ * Convert an expression (Expression object or string) to LaTeX.
+ * Falls back to \text{...} when the string cannot be parsed.
+ *
+ * @param expr
+ * @returns {string}
+ */
+function expressionToLatex(expr) {
+  let node;
+  try {
+    node = math.parse(expr.toString());
+  } catch (e) {
+    return `\\text{${expr.toString().replace(/[\\{}_^&%$#]/g, c => `\\${c}`)}}`;
+  }
+  return texNode(node).tex;
+}
+
+/**
+ * LaTeX for a node or edge id (V_n2 -> V_{n2}, R1 -> R_{1}, w -> \omega)
+ *
+ * @param id
+ * @returns {string}
+ */
+function symbolToLatex(id) {
+  if (id === 'w' || id === 'omega')
+    return '\\omega';
+
+  let base = id, sub = '';
+  const underscore = id.indexOf('_');
+  if (underscore > 0) {
+    base = id.slice(0, underscore);
+    sub = id.slice(underscore + 1);
+  } else {
+    const digits = id.match(/^([A-Za-z]+)([0-9]+)$/);
+    if (digits) {
+      base = digits[1];
+      sub = digits[2];
+    }
+  }
+
+  base = base.length > 1 ? `\\mathrm{${base}}` : base;
+  return sub ? `${base}_{${sub.replace(/_/g, '\\_')}}` : base;
+}
+
+function texNode(node) {
+  switch (node.type) {
+    case 'ParenthesisNode':
+      return texNode(node.content);
+    case 'ConstantNode':
+      return texConstant(node.value);
+    case 'SymbolNode':
+      return {tex: symbolToLatex(node.name), prec: PREC_ATOM};
+    case 'OperatorNode':
+      return texOperator(node);
+    case 'FunctionNode':
+      return {
+        tex: `\\mathrm{${node.fn.name || node.fn}}\\left(${node.args.map(a => texNode(a).tex).join(', ')}\\right)`,
+        prec: PREC_ATOM
+      };
+    default:
+      return {tex: node.toTex(), prec: PREC_ATOM};
+  }
+}
+
+function texConstant(value) {
+  const str = value.toString();
+  const sci = str.match(/^(-?[0-9.]+)e([+-]?[0-9]+)$/i);
+  let tex = sci ? `${sci[1]} \\times 10^{${Number(sci[2])}}` : str;
+  return {tex, prec: str.startsWith('-') ? PREC_NEG : PREC_ATOM};
+}
+
+function wrap(part, minPrec) {
+  return part.prec < minPrec ? `\\left(${part.tex}\\right)` : part.tex;
+}
+
+function texOperator(node) {
+  const args = node.args;
+
+  switch (node.fn) {
+    case 'add':
+    case 'subtract':
+      return texSum(node);
+    case 'unaryMinus':
+      return {tex: `-${wrap(texNode(args[0]), PREC_MUL)}`, prec: PREC_NEG};
+    case 'unaryPlus':
+      return texNode(args[0]);
+    case 'divide':
+      return {tex: `\\frac{${texNode(args[0]).tex}}{${texNode(args[1]).tex}}`, prec: PREC_ATOM};
+    case 'pow':
+      return {tex: `${wrap(texNode(args[0]), PREC_ATOM)}^{${texNode(args[1]).tex}}`, prec: PREC_ATOM};
+    case 'multiply':
+      return texProduct(node);
+    default:
+      return {tex: node.toTex(), prec: PREC_ATOM};
+  }
+}
+
+/**
+ * a + (-b) is written as a - b and a - (-b) as a + b
+ */
+function texSum(node) {
+  const left = texNode(node.args[0]).tex;
+  const right = texNode(node.args[1]);
+  let op = node.fn === 'add' ? '+' : '-';
+
+  if (right.prec === PREC_NEG && right.tex.startsWith('-'))
+    return {tex: `${left} ${op === '+' ? '-' : '+'} ${right.tex.slice(1)}`, prec: PREC_ADD};
+  return {tex: `${left} ${op} ${wrap(right, PREC_MUL)}`, prec: PREC_ADD};
+}
+
+/**
+ * Products are flattened, factors of 1 are dropped and the rest are written by
+ * juxtaposition - only two adjacent numbers are separated by \cdot
+ */
+function texProduct(node) {
+  let factors = [];
+  const flatten = (n) => {
+    while (n.type === 'ParenthesisNode')
+      n = n.content;
+    if (n.type === 'OperatorNode' && n.fn === 'multiply')
+      n.args.forEach(flatten);
+    else if (!(n.type === 'ConstantNode' && Number(n.value) === 1))
+      factors.push(n);
+  };
+  flatten(node);
+
+  // Write j*w as j\omega at the end of the product
+  const isSymbol = (f, names) => f.type === 'SymbolNode' && names.includes(f.name);
+  const jw = factors.some(f => isSymbol(f, ['j'])) && factors.some(f => isSymbol(f, ['w', 'omega']));
+  if (jw) {
+    factors.splice(factors.findIndex(f => isSymbol(f, ['j'])), 1);
+    factors.splice(factors.findIndex(f => isSymbol(f, ['w', 'omega'])), 1);
+  }
+
+  if (!factors.length && jw)
+    return {tex: 'j\\omega', prec: PREC_MUL};
+  if (!factors.length)
+    return {tex: '1', prec: PREC_ATOM};
+
+  let tex = '';
+  let negative = false;
+  const isMinusOne = (f) => (f.type === 'ConstantNode' && Number(f.value) === -1) ||
+    (f.type === 'OperatorNode' && f.fn === 'unaryMinus' && f.args[0].type === 'ConstantNode' && Number(f.args[0].value) === 1);
+
+  if (factors.length === 1 && !jw)
+    return texNode(factors[0]);
+
+  factors.forEach((f) => {
+    if (isMinusOne(f)) {
+      negative = !negative;
+      return;
+    }
+    const part = texNode(f);
+    const str = tex === '' ? wrap(part, PREC_NEG) : wrap(part, PREC_MUL);
+    if (tex === '')
+      tex = str;
+    else if (/^[0-9.]/.test(str))
+      tex += ` \\cdot ${str}`;
+    else
+      tex += ` ${str}`;
+  });
+
+  if (jw)
+    tex = tex === '' ? 'j\\omega' : `${tex} j\\omega`;
+  if (tex === '')
+    tex = '1';
+  if (negative)
+    tex = tex.startsWith('-') ? tex.slice(1) : `-${tex}`;
+  return {tex, prec: tex.startsWith('-') ? PREC_NEG : PREC_MUL};
+}
+
+/**
+ * Build the pieces shared by both renderers from a computeMasons result
+ *
+ * @param result - computeMasons result, or its derivation object
+ * @param options - start/end node ids, used when the result has no derivation
+ */
+function collectSections(result, options = {}) {
+  const derivation = result.derivation || (result.forwardPaths ? result : null);
+  const start = (derivation && derivation.start) || options.start;
+  const end = (derivation && derivation.end) || options.end;
+  const n = derivation ? derivation.numerator : result.n;
+  const d = derivation ? (derivation.denominator || derivation.delta) : result.d;
+  const ratioMethod = derivation && derivation.method === 'source-ratio';
+
+  let sections = {
+    ratio: `\\frac{${symbolToLatex(end)}}{${symbolToLatex(start)}}`,
+    fraction: `\\frac{${expressionToLatex(n)}}{${expressionToLatex(d)}}`,
+    paths: [],
+    loops: [],
+    deltaExpansion: null,
+    masonSum: null,
+    masonDenominator: '\\Delta',
+    source: ratioMethod ? derivation.source : null,
+    references: []
+  };
+
+  if (!derivation)
+    return sections;
+
+  const loopIndex = new Map(derivation.loops.map((l, i) => [l.id, i + 1]));
+  const arrow = (ids) => ids.map(symbolToLatex).join(' \\to ');
+
+  sections.paths = derivation.forwardPaths.map(p => ({
+    name: `P_{${p.index}}`,
+    delta: `\\Delta_{${p.index}}`,
+    route: arrow(p.nodes),
+    gain: expressionToLatex(p.gain),
+    deltaValue: expressionToLatex(p.delta)
+  }));
+
+  // Gain from an internal node: ratio of the gains from the source to end and to start
+  if (ratioMethod) {
+    sections.references = derivation.referencePaths.map(p => ({
+      name: `Q_{${p.index}}`,
+      delta: `\\Delta'_{${p.index}}`,
+      route: arrow(p.nodes),
+      gain: expressionToLatex(p.gain),
+      deltaValue: expressionToLatex(p.delta)
+    }));
+    sections.masonDenominator = sections.references.map(q => `${q.name} ${q.delta}`).join(' + ');
+  }
+
+  sections.loops = derivation.loops.map((l, i) => ({
+    name: `L_{${i + 1}}`,
+    route: arrow(l.nodes.concat([l.nodes[0]])),
+    gain: expressionToLatex(l.gain)
+  }));
+
+  // Delta = 1 - sum L_i + sum L_i L_j - ...
+  let expansion = '1';
+  if (sections.loops.length)
+    expansion += ` - \\left(${sections.loops.map(l => l.name).join(' + ')}\\right)`;
+  derivation.nonTouching.forEach((group) => {
+    const terms = group.groups.map(g => g.loops.map(id => `L_{${loopIndex.get(id)}}`).join(' '));
+    expansion += ` ${group.order % 2 === 0 ? '+' : '-'} \\left(${terms.join(' + ')}\\right)`;
+  });
+  sections.deltaExpansion = expansion;
+
+  sections.masonSum = sections.paths.length
+    ? sections.paths.map(p => `${p.name} ${p.delta}`).join(' + ')
+    : '0';
+
+  return sections;
+}
+
+/**
+ * Render a Mason's rule derivation as a LaTeX align* environment
+ *
+ * @param result - computeMasons result (with derivation when explain was set), or the derivation itself
+ * @param options - start/end node ids, used when the result has no derivation
+ * @returns {string}
+ */
+function derivationToLatex(result, options) {
+  const sec = collectSections(result, options);
+  let lines = [];
+
+  sec.paths.forEach((p) => {
+    lines.push(`${p.name} &= ${p.gain} && ${p.route}`);
+  });
+  sec.references.forEach((q) => {
+    lines.push(`${q.name} &= ${q.gain} && ${q.route}`);
+  });
+  sec.loops.forEach((l) => {
+    lines.push(`${l.name} &= ${l.gain} && ${l.route}`);
+  });
+  if (sec.deltaExpansion)
+    lines.push(`\\Delta &= ${sec.deltaExpansion}`);
+  sec.paths.concat(sec.references).forEach((p) => {
+    lines.push(`${p.delta} &= ${p.deltaValue}`);
+  });
+  if (sec.masonSum)
+    lines.push(`${sec.ratio} &= \\frac{${sec.masonSum}}{${sec.masonDenominator}}`);
+  lines.push(`${sec.ratio} &= ${sec.fraction}`);
+
+  return `\\begin{align*}\n${lines.join(' \\\\\n')}\n\\end{align*}\n`;
+}
+
+/**
+ * Render a Mason's rule derivation as Markdown with inline math ($...$)
+ *
+ * @param result - computeMasons result (with derivation when explain was set), or the derivation itself
+ * @param options - start/end node ids, used when the result has no derivation
+ * @returns {string}
+ */
+function derivationToMarkdown(result, options) {
+  const sec = collectSections(result, options);
+  let md = [];
+
+  if (sec.paths.length || sec.loops.length) {
+    md.push('**Forward paths**', '');
+    sec.paths.forEach(p => md.push(`- $${p.name} = ${p.gain}$ via $${p.route}$`));
+    if (!sec.paths.length)
+      md.push('- none');
+
+    if (sec.source) {
+      md.push('', `**Paths from the source $${symbolToLatex(sec.source)}$ to the start node**`, '');
+      sec.references.forEach(q => md.push(`- $${q.name} = ${q.gain}$ via $${q.route}$`));
+    }
+
+    md.push('', '**Loops**', '');
+    sec.loops.forEach(l => md.push(`- $${l.name} = ${l.gain}$ via $${l.route}$`));
+    if (!sec.loops.length)
+      md.push('- none');
+
+    md.push('', '**Determinant**', '', `$\\Delta = ${sec.deltaExpansion}$`, '');
+    sec.paths.concat(sec.references).forEach(p => md.push(`- $${p.delta} = ${p.deltaValue}$`));
+    md.push('', '**Transfer function**', '');
+    if (sec.source)
+      md.push(`Start node has incoming edges - gain taken as the ratio of the gains from $${symbolToLatex(sec.source)}$.`, '');
+    md.push(`$${sec.ratio} = \\frac{${sec.masonSum}}{${sec.masonDenominator}}$`, '');
+  } else {
+    md.push('**Transfer function**', '');
+  }
+  md.push(`$${sec.ratio} = ${sec.fraction}$`, '');
+
+  return md.join('\n');
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  derivationToLatex, derivationToMarkdown, expressionToLatex, symbolToLatex
+};
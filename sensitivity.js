@@ -0,0 +1,168 @@
+const math = require('mathjs');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const m1helper = require('./mason.js');
+const errors = require('./errors.js');
+const frequency = require('./frequency.js');
+const parameters = require('./params.js');
+
+/**
+ * Normalized sensitivity of a transfer function H = N / D to a symbol or an
+ * edge weight x:
+ *
+ *   S = (dH/dx) (x / H) = x (dN/dx / N - dD/dx / D)
+ *
+ * N and D come from Mason's rule. The derivatives are taken symbolically with
+ * mathjs; when that fails (e.g. for functions mathjs cannot differentiate) S is
+ * found numerically by a central difference at each evaluation point.
+ *
+ * For an edge, its weight is replaced by a fresh symbol before Mason's rule is
+ * applied, so the derivative is taken with respect to the weight as a whole.
+ */
+
+const STEP = 1e-6;
+
+/**
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param start - start node id
+ * @param end - end node id
+ * @param target - symbol name (e.g. R1) or edge id
+ * @param options - frequencies: list of angular frequencies to evaluate S at (needs params
+ *                  for every other symbol); params: symbol values
+ * @returns {{target, kind: 'symbol'|'edge', method: 'symbolic'|'numeric', symbolic, evaluate, values}}
+ *   symbolic is the expression of S (null for the numeric method), evaluate(w, params) -> Complex,
+ *   values (only with frequencies) is a list of {w, S, magnitude, phase} (phase in degrees)
+ * @throws SfgError if target is neither an edge id nor a symbol of the edge weights
+ */
+function computeSensitivity(nodes, start, end, target, options = {}) {
+  let graph = SignalFlowGraph.from(nodes);
+  let kind, symbol, evaluateWeight = null;
+
+  const edge = graph.getEdge(target);
+  if (edge) {
+    kind = 'edge';
+    graph = graph.clone();
+    symbol = parameters.freshSymbols(graph, 1)[0];
+    const weight = frequency.compileExpression(edge.weight);
+    evaluateWeight = (scope) => {
+      scope[symbol] = weight(scope);
+    };
+    graph.getEdge(target).weight = symbol;
+  } else if (parameters.freeSymbols(graph).includes(target)) {
+    kind = 'symbol';
+    symbol = target;
+  } else {
+    throw new errors.SfgError(`${target} is neither an edge id nor a symbol of the edge weights`, {target});
+  }
+
+  const gain = m1helper.calculateNodeGain(start, end, graph);
+  const sensitivity = sensitivityOf(gain.n, gain.d, symbol);
+
+  const evaluate = (w, params) => {
+    let scope = frequencyScope(w, params);
+    if (evaluateWeight)
+      evaluateWeight(scope);
+    return sensitivity.evaluate(scope);
+  };
+
+  let result = {
+    target,
+    kind,
+    method: sensitivity.method,
+    symbolic: sensitivity.symbolic && kind === 'edge'
+      ? parameters.substitute(sensitivity.symbolic, {[symbol]: edge.weight.toString()})
+      : sensitivity.symbolic,
+    evaluate
+  };
+
+  if (options.frequencies) {
+    result.values = options.frequencies.map((w) => {
+      const S = evaluate(w, options.params);
+      return {w, S, magnitude: math.abs(S), phase: math.arg(S) * 180 / Math.PI};
+    });
+  }
+  return result;
+}
+
+/**
+ * Rank every edge by the magnitude of the sensitivity of the gain to its weight
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param start - start node id
+ * @param end - end node id
+ * @param options - w: angular frequency (default 0, the DC gain); params: symbol values
+ * @returns list of {edge, startNode, endNode, weight, S, magnitude}, largest magnitude first
+ */
+function rankEdgeSensitivities(nodes, start, end, options = {}) {
+  const original = SignalFlowGraph.from(nodes);
+  const graph = original.clone();
+  const edges = [...original.edges.values()];
+  const symbols = parameters.freshSymbols(original, edges.length);
+
+  // Mason's rule is applied once, with every weight replaced by its own symbol
+  const weights = edges.map(e => frequency.compileExpression(e.weight));
+  edges.forEach((e, i) => {
+    graph.getEdge(e.id).weight = symbols[i];
+  });
+  const gain = m1helper.calculateNodeGain(start, end, graph);
+
+  let scope = frequencyScope(options.w || 0, options.params);
+  weights.forEach((weight, i) => {
+    scope[symbols[i]] = weight(scope);
+  });
+
+  return edges.map((e, i) => {
+    const S = sensitivityOf(gain.n, gain.d, symbols[i]).evaluate(scope);
+    return {edge: e.id, startNode: e.startNode, endNode: e.endNode, weight: e.weight, S, magnitude: math.abs(S)};
+  }).sort((a, b) => b.magnitude - a.magnitude);
+}
+
+/**
+ * @returns {{method, symbolic, evaluate: function (scope) -> Complex}}
+ */
+function sensitivityOf(n, d, symbol) {
+  let dn, dd;
+  try {
+    dn = math.derivative(n.toString(), symbol, {simplify: false});
+    dd = math.derivative(d.toString(), symbol, {simplify: false});
+  } catch (e) {
+    return numericSensitivity(n, d, symbol);
+  }
+
+  const expr = `(${symbol}) * ((${dn.toString()}) / (${n.toString()}) - (${dd.toString()}) / (${d.toString()}))`;
+  return {method: 'symbolic', symbolic: expr, evaluate: frequency.compileExpression(expr)};
+}
+
+/**
+ * Central difference of H = n / d with a relative step in the symbol
+ */
+function numericSensitivity(n, d, symbol) {
+  const N = frequency.compileExpression(n);
+  const D = frequency.compileExpression(d);
+  const H = scope => math.divide(N(scope), D(scope));
+
+  return {
+    method: 'numeric',
+    symbolic: null,
+    evaluate: (scope) => {
+      const x = scope[symbol];
+      if (typeof x !== 'number' && !(x && x.isComplex))
+        throw new errors.EvaluationError(`No value for ${symbol}`, {symbol});
+      const h = math.multiply(math.abs(x) ? x : 1, STEP);
+      const up = H(Object.assign({}, scope, {[symbol]: math.add(x, h)}));
+      const down = H(Object.assign({}, scope, {[symbol]: math.subtract(x, h)}));
+      const derivative = math.divide(math.subtract(up, down), math.multiply(h, 2));
+      return math.complex(math.divide(math.multiply(derivative, x), H(scope)));
+    }
+  };
+}
+
+function frequencyScope(w, params) {
+  return Object.assign({}, params, {w, j: math.complex(0, 1), s: math.complex(0, w)});
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  computeSensitivity, rankEdgeSensitivities
+};
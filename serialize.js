@@ -0,0 +1,144 @@
+const datamodel = require('./datamodel.js');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const errors = require('./errors.js');
+
+/**
+ * Versioned JSON format for signal flow graphs:
+ *
+ * {
+ *   "format": "sfg",
+ *   "version": 1,
+ *   "nodes": [{"id": "V_n1", "value": null}, ...],
+ *   "edges": [{"id": "V_n1ISC_n2", "startNode": "V_n1", "endNode": "ISC_n2", "weight": "1/R1"}, ...]
+ * }
+ *
+ * Edge ids are stored explicitly so the unique ids of parallel edges (ab, ab_1, ...)
+ * survive a round trip.
+ */
+
+const FORMAT = 'sfg';
+const VERSION = 1;
+
+/**
+ * The document is validated before it is returned, so whatever toJSON produces
+ * is accepted by fromJSON.
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @returns plain object in the SFG JSON format (pass it to JSON.stringify to save it)
+ * @throws InconsistentGraphError if the graph cannot be stored, e.g. an edge ends at a node that is not in the graph
+ */
+function toJSON(nodes) {
+  const graph = SignalFlowGraph.from(nodes);
+
+  const doc = {
+    format: FORMAT,
+    version: VERSION,
+    nodes: graph.toArray().map(n => ({id: n.id, value: n.value === undefined ? null : n.value})),
+    edges: [...graph.edges.values()].map(e => ({
+      id: e.id,
+      startNode: e.startNode,
+      endNode: e.endNode,
+      weight: e.weight === null || e.weight === undefined ? e.weight : e.weight.toString()
+    }))
+  };
+
+  const result = validate(doc);
+  if (!result.valid)
+    throw new errors.InconsistentGraphError(`Graph cannot be serialized:\n  ${result.errors.join('\n  ')}`, {errors: result.errors});
+  return doc;
+}
+
+/**
+ * Check that an object (or JSON string) is a valid SFG document
+ *
+ * @param json
+ * @returns {{valid: boolean, errors: [string]}}
+ */
+function validate(json) {
+  let problems = [];
+  let doc;
+
+  try {
+    doc = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (e) {
+    return {valid: false, errors: [`Invalid JSON: ${e.message}`]};
+  }
+
+  if (!doc || typeof doc !== 'object')
+    return {valid: false, errors: ['Document must be an object']};
+  if (doc.format !== FORMAT)
+    problems.push(`format must be "${FORMAT}"`);
+  if (doc.version !== VERSION)
+    problems.push(`Unsupported version ${doc.version} (expected ${VERSION})`);
+  if (!Array.isArray(doc.nodes))
+    problems.push('nodes must be an array');
+  if (!Array.isArray(doc.edges))
+    problems.push('edges must be an array');
+  if (problems.length)
+    return {valid: false, errors: problems};
+
+  let nodeIds = new Set();
+  doc.nodes.forEach((n, i) => {
+    if (!n || typeof n.id !== 'string' || n.id === '') {
+      problems.push(`nodes[${i}]: id must be a non-empty string`);
+      return;
+    }
+    if (nodeIds.has(n.id))
+      problems.push(`nodes[${i}]: duplicate node id ${n.id}`);
+    if (n.value !== null && n.value !== undefined && typeof n.value !== 'string' && typeof n.value !== 'number')
+      problems.push(`nodes[${i}]: value of node ${n.id} must be a string, a number or null`);
+    nodeIds.add(n.id);
+  });
+
+  let edgeIds = new Set();
+  doc.edges.forEach((e, i) => {
+    if (!e || typeof e.id !== 'string' || e.id === '') {
+      problems.push(`edges[${i}]: id must be a non-empty string`);
+      return;
+    }
+    if (edgeIds.has(e.id))
+      problems.push(`edges[${i}]: duplicate edge id ${e.id}`);
+    edgeIds.add(e.id);
+
+    if (typeof e.weight !== 'string')
+      problems.push(`edges[${i}]: weight of edge ${e.id} must be a string`);
+    if (!nodeIds.has(e.startNode))
+      problems.push(`edges[${i}]: startNode ${e.startNode} of edge ${e.id} is not a node`);
+    if (!nodeIds.has(e.endNode))
+      problems.push(`edges[${i}]: endNode ${e.endNode} of edge ${e.id} is not a node`);
+  });
+
+  return {valid: problems.length === 0, errors: problems};
+}
+
+/**
+ * Rebuild a SignalFlowGraph (with real Node and Edge objects) from the JSON format.
+ * Throws an InconsistentGraphError (with the list of problems in errors) if the document does not validate.
+ *
+ * @param json - object or JSON string
+ * @returns {SignalFlowGraph}
+ */
+function fromJSON(json) {
+  const result = validate(json);
+  if (!result.valid)
+    throw new errors.InconsistentGraphError(`Invalid SFG document:\n  ${result.errors.join('\n  ')}`, {errors: result.errors});
+
+  const doc = typeof json === 'string' ? JSON.parse(json) : json;
+  const graph = new SignalFlowGraph();
+
+  doc.nodes.forEach(n => graph.addNode(n.id, n.value === undefined ? null : n.value));
+  doc.edges.forEach((e) => {
+    let edge = new datamodel.Edge(e.weight, e.startNode, e.endNode);
+    edge.id = e.id;
+    graph.addEdge(edge);
+  });
+
+  return graph;
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  toJSON, fromJSON, validate, FORMAT, VERSION
+};
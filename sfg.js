@@ -1,20 +1,47 @@
 /**
  * Import the required libraries
  */
-// const algebra = require('algebra.js');
-const algebra = require('./rwalgebrajs/RWalgebra.js');
-const math = require('mathjs');
 const readline = require('readline');
 const m1helper = require('./mason.js');
-const datamodel = require('./datamodel.js');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const render = require('./render.js');
+const exporter = require('./export.js');
+const serializer = require('./serialize.js');
+const equationLoader = require('./equations.js');
+const errors = require('./errors.js');
+const frequency = require('./frequency.js');
+const stability = require('./stability.js');
+const feedback = require('./feedback.js');
+const transfer = require('./transfer.js');
+const verifier = require('./verify.js');
+const reduction = require('./reduction.js');
+const parameters = require('./params.js');
+const analysis = require('./analysis.js');
+const sensitivity = require('./sensitivity.js');
+const parser = require('./parser.js');
+const rational = require('./rational.js');
+const poles = require('./poles.js');
+const timeresponse = require('./timeresponse.js');
 
-function getEquations() {
-  /* TODO: implement */
-  return {};
+/**
+ * Read a set of equations from an equation file (see equations.js for the format)
+ *
+ * Returns:
+ * 1. equations: list of equation strings, ready for computeSFG
+ * 2. locations: file and line each equation was read from
+ * 3. input, output: default start and end node ids (null if not declared)
+ * 4. params: parameter values, e.g. {R1: 1000}
+ *
+ * @param file - path of the equation file
+ */
+function getEquations(file) {
+  return equationLoader.loadEquations(file);
 }
 
 /**
- *
+ * Gain from start to end. Mason's rule is applied directly when start is a
+ * source node; otherwise the gain is the ratio of the gains from a source node
+ * to end and to start (see calculateNodeGain in mason.js).
  *
  * Returns:
  * 1. numer: numerator of transfer function - Expression Object
@@ -22,24 +49,41 @@ function getEquations() {
  * 3. bode: Object that contains the bode phase and magnitude equations
  *    a) phase: STRING - equation for actual bode phase plot
  *    b) magnitude: STRING - equation for actual bode magnitude plot
+ * 4. method: 'mason', or 'source-ratio' when start is not a source node (it has
+ *    incoming edges other than a self-loop)
+ *    source: the source node the gain was computed from
+ * 5. verification: only when options.verify is set (see verify.js)
+ * 6. rational: only when options.rational is set - the transfer function in
+ *    canonical form: coefficient arrays in s without common factors, order and
+ *    DC gain (see toRational in rational.js)
+ * 7. derivation: only when options.explain is set - every intermediate
+ *    result of Mason's rule (see buildDerivation)
  *
- * @param nodes
+ * @param nodes - SignalFlowGraph (or list of node objects)
  * @param start
  * @param end
+ * @param options - explain: also return the full derivation
+ *                  source: source node to use when start is not a source node
+ *                  verify: cross-check n/d against a direct solve of the linear system
+ *                          (true, or the options of verifyTransferFunction)
+ *                  rational: also return the transfer function as polynomials in s (true, or
+ *                            {params, tolerance} - values of the other symbols, see toRational)
  * @returns {{phase, d: *, magnitude, n: *}}
+ * @throws UnknownNodeError if start or end is not in the graph
+ * @throws NoForwardPathError if end cannot be reached from start, or no source node reaches start
+ * @throws VerificationError if verify is set and the direct solve gives a different result
+ *   (or cannot be computed at any sample point)
+ * @throws EvaluationError if rational is set and the transfer function is not rational in s
  */
-function computeMasons(nodes, start, end) {
-  console.log('in computeMasons');
+function computeMasons(nodes, start, end, options = {}) {
+  const graph = SignalFlowGraph.from(nodes);
   /*
    * Step 1: Calculate numerator and denominator of transfer function separately
    */
-  const allLoops = m1helper.findAllLoops(nodes);
-  const nonTouchingLoops = m1helper.findNonTouching(allLoops);
-  const denom = m1helper.calculateDenominator(allLoops, nonTouchingLoops);
-  const numer = m1helper.calculateNumerator(start, end, nodes);
+  const mason = m1helper.calculateNodeGain(start, end, graph, {source: options.source});
+  const numer = mason.n;
+  const denom = mason.d;
 
-  console.log( `numer: {${numer}}`);
-  console.log(`denom: {${denom}}`);
   /*
    * Step 2: Calculate the ACTUAL bode phase and magnitude equations
    *       - Loop Gain = 1 - denom ??
@@ -49,25 +93,153 @@ function computeMasons(nodes, start, end) {
    * support functions
    */
 
-  const bodePhase = `${numer.phase()} - ${denom.phase()}`;
-  const bodeMag = `20 * log10 ( (${numer.magnitude()}) / (${denom.magnitude()}))`;
-
-  return {n: numer, // Expression
+  let result = {n: numer, // Expression
           d: denom, // Expression
-          bode: {
-            phase: bodePhase, // String
-            magnitude: bodeMag // String
-          }
+          bode: bodeEquations(numer, denom),
+          method: mason.method,
+          source: mason.source
+          };
+
+  if (options.verify) {
+    const report = verifier.verifyTransferFunction(graph, start, end, result,
+      typeof options.verify === 'object' ? options.verify : {});
+    if (!report.verified) {
+      throw new errors.VerificationError(`Transfer function ${end}/${start} could not be verified: `
+        + `the direct solution failed at all ${report.skipped} sample points`, {start, end, verification: report});
+    }
+    if (!report.agree) {
+      const worst = report.mismatches.reduce((a, b) => (b.error > a.error ? b : a));
+      throw new errors.VerificationError(`Transfer function ${end}/${start} disagrees with the direct solution `
+        + `at ${report.mismatches.length} of ${report.checked} points (relative error ${worst.error.toPrecision(3)} at w = ${worst.w.toPrecision(4)})`,
+        {start, end, verification: report});
+    }
+    result.verification = report;
+  }
+
+  if (options.rational) {
+    const settings = typeof options.rational === 'object' ? options.rational : {};
+    result.rational = rational.toRational(result, settings.params, settings);
+  }
+
+  if (options.explain) {
+    result.derivation = buildDerivation(start, end, mason);
+  }
+  return result;
+}
+
+/**
+ * Transfer function from start to end found by graph reduction instead of
+ * Mason's rule (see reduction.js) - no loop enumeration, so it also finishes
+ * on large dense graphs. Same result as computeMasons, with method 'reduction'.
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param start
+ * @param end
+ * @param options - log: also return the reduction steps (in steps)
+ *                  source: source node to use when start is not a source node
+ * @returns {{n, d, bode, method, source, steps}}
+ * @throws UnknownNodeError if start or end is not in the graph
+ * @throws NoForwardPathError if end cannot be reached from start
+ */
+function computeReduction(nodes, start, end, options = {}) {
+  const reduced = reduction.reduceGraph(nodes, start, end, options);
+  let result = {n: reduced.n, // Expression
+          d: reduced.d, // Expression
+          bode: bodeEquations(reduced.n, reduced.d),
+          method: reduced.method,
+          source: reduced.source
           };
+  if (options.log)
+    result.steps = reduced.steps;
+  return result;
+}
+
+/**
+ * Bode phase and magnitude equations (STRINGs) of numer / denom
+ */
+function bodeEquations(numer, denom) {
+  return {
+    phase: `${numer.phase()} - ${denom.phase()}`,
+    magnitude: `20 * log10 ( (${numer.magnitude()}) / (${denom.magnitude()}))`
+  };
+}
+
+/**
+ * Collect the intermediate results of Mason's rule into a plain object so the
+ * derivation of a transfer function can be audited. All gains are strings.
+ *
+ * {
+ *   start, end,
+ *   method: 'mason' or 'source-ratio', source: node the paths start from,
+ *   forwardPaths: [{index, nodes: [node ids], edges: [edge ids], gain: P_k, delta: delta_k}],
+ *   referencePaths: paths from source to start ('source-ratio' only, same fields),
+ *   loops: [{id, nodes: [node ids], edges: [edge ids], gain}],
+ *   nonTouching: [{order, groups: [{loops: [loop ids], gain}]}],
+ *   delta: determinant,
+ *   numerator: sum of P_k * delta_k,
+ *   denominator: delta, or the sum over the reference paths for 'source-ratio'
+ * }
+ *
+ * @param mason - result of calculateNodeGain
+ */
+function buildDerivation(start, end, mason) {
+  const {allLoops, nonTouchingLoops} = mason;
+  const gainOf = (edges) => m1helper.calculateLoopGain(edges).toString();
+  let nonTouching = [];
+
+  nonTouchingLoops.forEach((sets, order) => {
+    nonTouching.push({
+      order,
+      groups: sets.map(set => ({loops: set.loops.map(l => l.id), gain: gainOf(set)}))
+    });
+  });
+
+  const paths = (list) => list.map((p, i) => ({
+    index: i + 1,
+    nodes: p.nodes.map(n => n.id),
+    edges: p.edges.map(e => e.id),
+    gain: p.gain.toString(),
+    delta: p.delta.toString()
+  }));
+
+  return {
+    start,
+    end,
+    method: mason.method,
+    source: mason.source,
+    forwardPaths: paths(mason.forwardPaths),
+    referencePaths: paths(mason.referencePaths),
+    loops: allLoops.map(l => ({
+      id: l.id,
+      nodes: l.map(e => e.startNode),
+      edges: l.map(e => e.id),
+      gain: gainOf(l)
+    })),
+    nonTouching,
+    delta: mason.delta.toString(),
+    numerator: mason.n.toString(),
+    denominator: mason.d.toString()
+  };
 }
 
+/**
+ * Loop gain of the whole graph, taken as denom - 1 (so that denom = 1 + T)
+ *
+ * Returns:
+ * 1. t: the loop gain - Expression Object
+ * 2. bode: Object that contains the bode phase and magnitude equations of t (STRINGs)
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ */
 function computeLoopGain(nodes) {
-  const allLoops = m1helper.findAllLoops(nodes);
+  const graph = SignalFlowGraph.from(nodes);
+  const allLoops = m1helper.findAllLoops(graph);
   const nonTouchingLoops = m1helper.findNonTouching(allLoops);
   const denom = m1helper.calculateDenominator(allLoops, nonTouchingLoops);
 
   const loopGain = denom.subtract(1);
-  return { bode: {
+  return { t: loopGain, // Expression
+           bode: {
             phase: loopGain.phase(),
             magnitude:loopGain.bodeMag()
             }
@@ -75,6 +247,17 @@ function computeLoopGain(nodes) {
 
 }
 
+/**
+ * Gain margin, phase margin and delay margin of the loop gain from computeLoopGain,
+ * found numerically (see stability.js)
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param options - wStart, wStop, points: frequency sweep in rad/s; params: symbol values
+ */
+function computeStabilityMargins(nodes, options) {
+  return stability.stabilityMargins(computeLoopGain(nodes), options);
+}
+
 /**
  * Print out the transfer function - need to format this ourselves since currently algebra.js only supports dividing by constant integers/fractions
  *
@@ -109,7 +292,7 @@ function getUserInput() {
   rl.question('Please type in the number of eqns: ', (ans) => {
     n = parseInt(ans);
     rl.on('line', (input) => {
-      equations.push(algebra.parse(input));
+      equations.push(input);
 
       if (equations.length === n) {
         rl.question('Please type in start node: ', (ans) => {
@@ -139,446 +322,32 @@ function getUserInput() {
     console.log(`end node: ${endNode}`);
     console.log('------------------------------------');
 
-    var nodes = computeSFG(equations);
+    var nodes = computeSFG(equations, {nodes: [startNode, endNode]});
     outputSFG(nodes);
     var transferfunc = computeMasons(nodes, startNode, endNode);
     printTransferFunction(transferfunc, startNode, endNode);
   });
 }
 
-// Create a dynamic array and input each node
-function computeSFG (params) {
-  let nodes = [], parsed = [];
-  let termsoflhs = [];
-  let termsofrhs = [];
-  let dpiLocation = [], haveBothRealAndImag = [], duplicateLocation = [];
-  let vNodeNotFound = 0;
-  let needToSearchRelation = false, dpiFound = false;
-
-  for (let i = 0; i < params.length; i++) {
-    parsed.push(algebra.parse(params[i]));
-  }
-
-  for (let i = 0; i < parsed.length; i++) {
-    let counter = 0;
-    //Access the eqns and split by lhs and rhs
-    if (!parsed[i].lhs.real.terms.toString().includes('DPI')) {
-      if (parsed[i].lhs.real.terms.length !== 0) {
-        // console.log(`Equation LHS: ${termsoflhs.length}`);
-        // console.log(parsed[i].lhs.real.terms.toString());
-        termsoflhs.push(parsed[i].lhs.real.terms);
-      }
-
-      if (parsed[i].lhs.imag.terms.length !== 0) {
-        // console.log(`Equation LHS: ${termsoflhs.length}`);
-        // console.log(parsed[i].lhs.imag.terms.toString());
-        termsoflhs.push(parsed[i].lhs.imag.terms);
-      }
-
-      if (parsed[i].rhs.imag.terms.length !== 0) {
-        // console.log(`Equation RHS: ${termsofrhs.length}`);
-        // console.log(parsed[i].rhs.imag.terms.toString());
-        termsofrhs.push(parsed[i].rhs.imag.terms);
-        counter++;
-      }
-
-      if (parsed[i].rhs.real.terms.length !== 0) {
-        // console.log(`Equation RHS: ${termsofrhs.length}`);
-        // console.log(parsed[i].rhs.real.terms.toString());
-        termsofrhs.push(parsed[i].rhs.real.terms);
-        counter++;
-      }
-
-      if (counter === 2) {
-        // console.log("COUNTING RIGHT!!!!!");
-        // console.log(`THE RHS INDX NUMBER ${termsofrhs.length-1}`);
-        haveBothRealAndImag.push(termsofrhs.length-1);
-      }
-
-      // Right hand side has no terms
-      if (parsed[i].rhs.real.terms.length === 0 && parsed[i].rhs.imag.terms.length === 0) {
-        termsofrhs.push(null);
-        // console.log(`Equation RHS: ${termsofrhs.length}`);
-        // console.log("rhs = NULL");
-      }
-    } else {
-      dpiLocation.push(i);
-    }
-  }
-
-  // To store into the nodes, go through the termsoflhs list array
-  for (let i = 0; i < termsoflhs.length; i++) {
-    // console.log("------------------------------------------")
-    // console.log(`LHS Term is:  ${termsoflhs[i].toString()}`);
-    let duplicate = false;
-    // Do not create a node for those that have DPI as term on the lhs
-    // Save the placement of the DPI equation
-    // console.log(`New Node id is ${termsoflhs[i].toString()}`);
-    // Check for duplicates
-    for (let m = 0; m < nodes.length; m++) {
-      if (termsoflhs[i].toString() === nodes[m].id.toString()) {
-        duplicate = true;
-        duplicateLocation.push(nodes[m].id.toString());
-      }
-    }
-
-    if (duplicate == false) {
-      newNode = new datamodel.Node(termsoflhs[i].toString(), null);
-    }
-
-    // Find the Node corresponding to the termsoflhs to determine the outoging edges
-    // Divide the rhs into coefficients and variables and store into the edges
-    for (let j = 0; j < termsofrhs.length; j++) {
-      if (termsofrhs[j] !== null && dpiFound == false && duplicate == false) {
-        var tempTermOfrhs = termsofrhs[j];
-        // console.log(tempTermOfrhs.length);
-
-        // The variable is found in the rhs of the equation then it must be an outgoing node
-        // More than one term in the rhs of the equation
-        for (k = 0; k < tempTermOfrhs.length; k++) {
-          if (tempTermOfrhs[k].toString().search(termsoflhs[i].toString()) != -1) {
-            // console.log(tempTermOfrhs[k].toString());
-            let wFound = false;
-            var weight = tempTermOfrhs[k].coefficient;
-            var startNode = tempTermOfrhs[k].variables;
-            // console.log(weight.toString());
-
-            // Means there is an alphabet as part of the coefficient
-            if (startNode.length !== 1) {
-              check = startNode[startNode.length-1].toString();
-              if (check.search("w") !== -1) {
-                check = startNode[startNode.length-2].toString();
-                wFound = true;
-              }
-              var toBeWeight = startNode.toString().split(termsoflhs[i].toString());
-
-              // console.log("TO BE WEIGHT = " + toBeWeight[0]);
-              if (weight === 1) {
-                weight = toBeWeight[0];
-              } else if (weight === -1) {
-                weight = "-"+toBeWeight[0];
-              } else {
-                if (toBeWeight[0] !== "") {
-                  weight = weight.toString() + "*" + toBeWeight[0];
-                }
-              }
-
-              // Get rid of the commas in the weight string
-              if (weight.toString().search(',') !== -1) {
-                weight = weight.toString().replace(/,/g, '');
-              }
-              if (wFound === true) {
-                weight += "*w";
-              }
-            } else {
-              check = startNode.toString();
-            }
-
-            // Coefficient includes a fraction
-            if (math.abs(Number(tempTermOfrhs[k].fraction.numer)) !== 1 || math.abs(Number(tempTermOfrhs[k].fraction.denom)) !== 1) {
-              if (math.abs(Number(tempTermOfrhs[k].fraction.numer)) == 1 && math.abs(Number(tempTermOfrhs[k].coefficient)) !== 1) {
-                weight = weight + " / (" + tempTermOfrhs[k].fraction.denom.toString() + ")";
-              } else if (math.abs(Number(tempTermOfrhs[k].fraction.numer)) == 1 && math.abs(Number(tempTermOfrhs[k].coefficient)) == 1) {
-                weight = weight + " / (" + tempTermOfrhs[k].fraction.denom.toString() + ")";
-              } else {
-                weight += "*(" + tempTermOfrhs[k].fraction.numer.toString() + ") / (" + tempTermOfrhs[k].fraction.denom.toString() + ")";
-              }
-            }
-
-            // Imaginary number case
-            if (tempTermOfrhs[k].imag === true) {
-              weight = weight + "*j";
-            }
-
-            if (check === termsoflhs[i].toString()) {
-              let currEdgeID, sameEdgeID = false, edgesLength;
-              let endNode, foundNewEndNode = false;
-
-              for (let l = 0; l < haveBothRealAndImag.length; l++) {
-                // console.log(`j is rhs num currently = ${j}, l = ${haveBothRealAndImag[l]}`);
-                if (haveBothRealAndImag[l] === j) {
-                  // console.log("ENTERED THERE");
-                  endNode = termsoflhs[j-1];
-                  foundNewEndNode = true;
-                  break;
-                }
-              }
-
-              if (foundNewEndNode == false) {
-                // console.log("ENTERED HERE");
-                endNode = termsoflhs[j];
-              }
-
-              // For special cases like netlist_ann_vccs.txt
-              currEdgeID = termsoflhs[i].toString()+endNode.toString();
-              newNode.outgoingEdges.forEach((nn, i) => {
-                if (nn.id.toString() == currEdgeID) {
-                  sameEdgeID = true;
-                  edgesLength = i;
-                }
-              });
-
-              newNode.outgoingEdges.push(new datamodel.Edge(weight.toString(), termsoflhs[i].toString(), endNode.toString()));
-              // Give unique id to the Edge
-              if (sameEdgeID == true) {
-                newNode.outgoingEdges[edgesLength+1].id = currEdgeID+"_"+(edgesLength+1);
-              }
-            }
-          }
-        }
-      }
-    }
-
-    if (dpiFound == false && duplicate == false) {
-      nodes.push(newNode);
-    }
-    dpiFound = false;
-  }
-
-  // console.log("-----------------------------------");
-  // nodes.forEach(eqns => console.log(eqns.id.toString()));
-  // Corner case: the Node only has outgoing edges
-  nodesNum = nodes.length;
-  for (let i = 0; i < termsofrhs.length; i++) {
-    if (termsofrhs[i] !== null) {
-      var tempTerm = termsofrhs[i];
-      // console.log("RHS equation being looked at: " + tempTerm.toString());
-
-      if (tempTerm !== null) {
-        for (let j = 0; j < tempTerm.length; j++) {
-          vNodeNotFound = 0;
-
-          for (let numOfNodes = 0; numOfNodes < nodes.length; numOfNodes++) {
-            if (tempTerm[j].toString().search(nodes[numOfNodes].id) === -1) {
-              vNodeNotFound += 1;
-            }
-          }
-
-          // Create only the missing node
-          if (vNodeNotFound === nodes.length) {
-            // console.log(vNodeNotFound);
-            // console.log(nodes.length);
-            // console.log("ENTERED THE IF STATMENT");
-            var tempVariable = tempTerm[j].variables;
-            var value = null;
-            needToSearchRelation = true;
-
-            // Means there is an alphabet as part of the coefficient
-            if (tempVariable.length != 1 && tempVariable.length != 0) {
-              startNode = tempVariable[tempVariable.length-1];
-              // console.log(typeof(startNode));
-              // console.log(startNode);
-              if (startNode.toString().search("w") != -1) {
-                startNode = tempVariable[tempVariable.length-2];
-              }
-            }
-            else if (tempVariable.length === 1) {
-              startNode = tempVariable;
-            }
-
-            // console.log(`NEW NODE IS: ${startNode}`);
-            if (startNode.toString().search("w") == -1 && startNode.toString().search("DPI") == -1) {
-              // console.log("ENTERED TO ADD IN THE NODE");
-              // console.log(`NEW NODE IS: ${startNode}`);
-              newNode = new datamodel.Node(startNode.toString(), value);
-              nodes.push(newNode);
-
-              if (termsoflhs.length < termsofrhs.length) {
-                // console.log(`INPUTTING INTO LHS ARRAY: ${startNode.toString()}`);
-                termsoflhs.push(startNode.toString());
-              }
-            }
-          }
-        }
-      }
-    }
-  }
-
-  // Searching through the rhs of the eqns again to ensure the new nodes are also connected
-  // nodes.forEach(eqns => console.log(eqns.id.toString()));
-  if (needToSearchRelation === true) {
-    for (let searchNeeded = nodesNum; searchNeeded < nodes.length; searchNeeded++) {
-      for (let i = 0; i < termsofrhs.length; i++) {
-        var tempTerm = termsofrhs[i];
-
-        if (tempTerm !== null) {
-          for (let j = 0; j < tempTerm.length; j++) {
-            if (tempTerm[j].toString().search(nodes[searchNeeded].id) != -1) {
-              let wFound = false;
-              var weight = tempTerm[j].coefficient;
-              var tempVariable = tempTerm[j].variables;
-
-              if (tempVariable.length != 1 && tempVariable.length != 0) {
-                // console.log("ENTERED THE IF STATEMENT");
-                var temp = tempVariable[tempVariable.length - 1].toString(), toBeWeight;
-                if (temp.search("w") !== -1) {
-                  temp = tempVariable[tempVariable.length - 2].toString();
-                  wFound = true;
-                }
-                toBeWeight = tempVariable.toString().split(temp);
-
-                if (weight === 1) {
-                  weight = toBeWeight[0];
-                } else if (weight === -1) {
-                  weight = "-"+toBeWeight[0];
-                } else {
-                  if (toBeWeight[0] !== "") {
-                    weight = weight.toString() + "*" + toBeWeight[0];
-                  }
-                }
-
-                // Get rid of the commas in the weight string
-                if (weight.toString().search(',') !== -1) {
-                  weight = weight.toString().replace(/,/g, '');
-                }
-                if (wFound === true) {
-                  weight += "*w";
-                }
-              } else {
-                temp = tempVariable.toString();
-              }
-
-              // Coefficient includes a fraction
-              if (math.abs(Number(tempTerm[j].fraction.numer)) !== 1 || math.abs(Number(tempTerm[j].fraction.denom)) !== 1) {
-                if (math.abs(Number(tempTerm[j].fraction.numer)) == 1 && math.abs(Number(tempTerm[j].coefficient)) !== 1) {
-                  weight = weight + " / (" + tempTerm[j].fraction.denom.toString() + ")";
-                } else if (math.abs(Number(tempTerm[j].fraction.numer)) == 1 && math.abs(Number(tempTerm[j].coefficient)) == 1) {
-                  weight = weight + " / (" + tempTerm[j].fraction.denom.toString() + ")";
-                } else {
-                  weight += "*(" + tempTerm[j].fraction.numer.toString() + ") / (" + tempTerm[j].fraction.denom.toString() + ")";
-                }
-              }
-
-              if (tempTerm[j].imag === true) {
-                weight = weight + "*j";
-              }
-
-              if (temp === nodes[searchNeeded].id) {
-                // console.log("NEW NODE TO BE ADDED");
-                // console.log(`Start Node: ${nodes[searchNeeded].id.toString()}`);
-                // console.log(`End Node: ${termsoflhs[i].toString()}`);
-                // console.log(weight.toString());
-                nodes[searchNeeded].outgoingEdges.push(new datamodel.Edge (weight.toString(), nodes[searchNeeded].id, termsoflhs[i].toString()));
-              }
-            }
-          }
-        }
-      }
-    }
-  }
-
-  // Deal with the constants in the rhs of the equation
-  for (let i = 0; i < parsed.length; i++) {
-    // console.log("---------------------------------------------");
-    // console.log(parsed[i].toString());
-    let duplicate = false, indx;
-    for (let j = 0; j < duplicateLocation.length; j++) {
-      if (duplicateLocation[j] === parsed[i].lhs.real.terms.toString()) {
-        // console.log("FOUND~~~~~~!!!");
-        indx = j;
-        duplicate = true;
-      }
-    }
-
-    // Constant exist in the equation - y1&i as the id for imaginary constants with terms
-    if (parsed[i].rhs.imag.terms.length !== 0 || parsed[i].rhs.real.terms.length !== 0){
-      // console.log("ENTERED FIRST");
-      if (parsed[i].rhs.imag.constant !== null) {
-        if (parsed[i].rhs.imag.constant.toString() !== "0") {
-          var id = "y1"+i;
-          var value = parsed[i].rhs.imag.constant+"j";
-          newNode = new datamodel.Node(id, value);
-          newNode.outgoingEdges.push(new datamodel.Edge("1", id, termsoflhs[i].toString()));
-          nodes.push(newNode);
-        }
-      }
-
-      if (parsed[i].rhs.real.constant !== null) {
-        if (parsed[i].rhs.real.constant.toString() !== "0") {
-          var id = "y2"+i;
-          newNode = new datamodel.Node(id, parsed[i].rhs.real.constant.toString());
-          newNode.outgoingEdges.push(new datamodel.Edge("1", id, termsoflhs[i].toString()));
-          nodes.push(newNode);
-        }
-      }
-    }
-
-    // No terms exists in the rhs then the value must be given to existing node
-    // example v1 = 8 or v1 = 5j
-    else if (parsed[i].rhs.imag.terms.length === 0 && parsed[i].rhs.real.terms.length === 0
-        && duplicate == false) {
-      if (!parsed[i].lhs.real.terms.toString().includes('DPI')) {
-        // console.log("ENTERED SECOND");
-        for (let j = 0; j < nodes.length; j++) {
-          if (parsed[i].lhs.real.terms.toString() === nodes[j].id.toString()) {
-            // console.log("---------------------------------------------");
-            // console.log(`Node being looked at: ${nodes[j].id.toString()}`);
-            // console.log(`Value updated to: ${parsed[i].rhs.real.constant.toString()}`);
-            nodes[j].value = parsed[i].rhs.real.constant.toString();
-          } else if (parsed[i].lhs.imag.terms.toString() === nodes[j].id.toString()) {
-            // console.log("---------------------------------------------");
-            // console.log(`Node being looked at: ${nodes[j].id.toString()}`);
-            // console.log(`Value updated to: ${parsed[i].rhs.imag.constant.toString()}`);
-            nodes[j].value = parsed[i].rhs.imag.constant.toString();
-          }
-        }
-      }
-    }
-
-    else if (parsed[i].rhs.imag.terms.length === 0 && parsed[i].rhs.real.terms.length === 0) {
-      // console.log("ENTERED THIRD");
-      for (let j = 0; j < nodes.length; j++) {
-        // Find the already existing node and then include another Edge
-        if (nodes[j].id.toString() === duplicateLocation[indx]) {
-          // console.log("NODE FOUND IN THE NODES LIST");
-          if (parsed[i].rhs.imag.constant !== null) {
-            if (parsed[i].rhs.imag.constant.toString() !== "0") {
-              var id = "y1"+i;
-              var value = parsed[i].rhs.imag.constant+"j";
-              newNode = new datamodel.Node(id, value);
-              newNode.outgoingEdges.push(new datamodel.Edge("1", id, nodes[j].id.toString()));
-              nodes.push(newNode);
-            }
-          }
-
-          if (parsed[i].rhs.real.constant !== null) {
-            if (parsed[i].rhs.real.constant.toString() !== "0") {
-              var id = "y2"+i;
-              newNode = new datamodel.Node(id, parsed[i].rhs.real.constant.toString());
-              newNode.outgoingEdges.push(new datamodel.Edge("1", id, nodes[j].id.toString()));
-              nodes.push(newNode);
-            }
-          }
-        }
-      }
-    }
-  }
-
-  // Replace the DPI value in the weight
-  for (let i = 0; i < dpiLocation.length; i++) {
-    let nodeID = params[dpiLocation[i]];
-    // console.log(`Value to be added is : ${nodeID}`);
-
-    // Split it by =
-    let DPIEqn = nodeID.split("=");
-    let value = DPIEqn[1];
-    let lhsCompared = DPIEqn[0].trim();
-
-    for(let j = 0; j < nodes.length; j++) {
-      nodes[j].outgoingEdges.forEach(n => {
-        if (n.weight.toString() === lhsCompared) {
-          // console.log(`LHS IS: ${lhsCompared}, \n Value is: ${value}`);
-          n.weight = value;
-        }
-      });
-    }
-  }
-
-  return nodes;
+/**
+ * Build the SFG from a list of equation strings (see parser.js for how the
+ * identifiers are classified and the edges derived)
+ *
+ * @param params - list of equations
+ * @param options - nodes: identifiers to treat as node variables besides the left hand
+ *                    sides, e.g. the input node
+ *                  parameters: identifiers to treat as parameters
+ * @returns list of Node objects (the legacy array form - SignalFlowGraph.from gives the graph API)
+ * @throws EquationParseError if an equation cannot be parsed (carries its index)
+ * @throws InconsistentGraphError if the equations do not give a well formed graph
+ */
+function computeSFG (params, options) {
+  return parser.equationsToGraph(params, options).toArray();
 };
 
-// Output into the console
-function outputSFG (sfgnodes) {
+// Output into the console - accepts a SignalFlowGraph or a list of nodes
+function outputSFG (sfg) {
+    const sfgnodes = SignalFlowGraph.from(sfg).toArray();
     console.log(`SFG: `);
 
     for (let i = 0; i < sfgnodes.length; i++) {
@@ -698,7 +467,52 @@ function outputSFG (sfgnodes) {
 
 /**
  * Export functions as part of m1 module
+ *
+ * Errors: every function above reports failures by throwing a subclass of SfgError
+ * - UnknownNodeError: a start/end node id is not in the graph (nodeId)
+ * - EquationParseError: an equation cannot be parsed (index, equation, or file and line)
+ * - InconsistentGraphError: the graph is malformed, e.g. a dangling edge (nodeId, edgeId)
+ * - NoForwardPathError: end cannot be reached from start (start, end)
+ * - EvaluationError: an expression cannot be evaluated numerically (expression, symbol)
+ * - VerificationError: computeMasons with verify set disagrees with the direct solution (verification)
  */
 module.exports = {
-  outputSFG, computeSFG, computeMasons, getEquations, getUserInput, computeLoopGain
+  outputSFG, computeSFG, computeMasons, computeReduction, getEquations, getUserInput, computeLoopGain, computeStabilityMargins,
+  SignalFlowGraph,
+  derivationToLatex: render.derivationToLatex,
+  derivationToMarkdown: render.derivationToMarkdown,
+  toDot: exporter.toDot,
+  toSvg: exporter.toSvg,
+  graphToJSON: serializer.toJSON,
+  graphFromJSON: serializer.fromJSON,
+  validateGraphJSON: serializer.validate,
+  SfgError: errors.SfgError,
+  UnknownNodeError: errors.UnknownNodeError,
+  EquationParseError: errors.EquationParseError,
+  InconsistentGraphError: errors.InconsistentGraphError,
+  NoForwardPathError: errors.NoForwardPathError,
+  EvaluationError: errors.EvaluationError,
+  VerificationError: errors.VerificationError,
+  frequencyResponse: frequency.frequencyResponse,
+  responseToJSON: frequency.responseToJSON,
+  responseToCSV: frequency.responseToCSV,
+  computeReturnRatio: feedback.computeReturnRatio,
+  computeTransferMatrix: transfer.computeTransferMatrix,
+  solveNodeValues: transfer.solveNodeValues,
+  verifyTransferFunction: verifier.verifyTransferFunction,
+  bindParameters: parameters.bindParameters,
+  freeSymbols: parameters.freeSymbols,
+  parameterSweep: analysis.parameterSweep,
+  monteCarlo: analysis.monteCarlo,
+  computeSensitivity: sensitivity.computeSensitivity,
+  rankEdgeSensitivities: sensitivity.rankEdgeSensitivities,
+  toRational: rational.toRational,
+  rationalFromExpression: rational.fromExpression,
+  evaluateRational: rational.evaluate,
+  polesZeros: poles.polesZeros,
+  rootLocus: poles.rootLocus,
+  toStateSpace: timeresponse.toStateSpace,
+  stepResponse: timeresponse.stepResponse,
+  impulseResponse: timeresponse.impulseResponse,
+  simulateResponse: timeresponse.simulateResponse
 };
@@ -0,0 +1,159 @@
+const math = require('mathjs');
+const errors = require('./errors.js');
+const frequency = require('./frequency.js');
+
+/**
+ * Stability margins of a loop gain T(jw), as returned by computeLoopGain.
+ *
+ * T is sampled on a log grid; every crossing found between two samples is then
+ * refined by bisection. The margins follow the usual Bode criterion, which
+ * assumes T itself is stable:
+ *   - gain crossover: |T| = 1, phase margin = 180 + angle(T) (wrapped to (-180, 180])
+ *   - phase crossover: angle(T) = -180 (mod 360), gain margin = -20 log10 |T|
+ *   - delay margin = phase margin (rad) / gain crossover frequency
+ * With several crossovers the worst (smallest) margin is reported.
+ */
+
+const BISECTIONS = 60;
+
+/**
+ * @param loopGain - result of computeLoopGain (uses its t field), any object with n and d,
+ *                   or an already compiled function (w) -> Complex
+ * @param options - wStart (default 1e-3), wStop (default 1e9), points (default 1000): sweep in rad/s
+ *                  params: values of the symbols other than w, j and s
+ * @returns {{
+ *   gainCrossovers: [{w, phase}], phaseCrossovers: [{w, magnitude}],
+ *   gainMargin, gainMarginFrequency, phaseMargin, phaseMarginFrequency, delayMargin,
+ *   unstable: boolean, multipleCrossovers: boolean, warnings: [string]
+ * }} magnitudes and gain margin in dB, phases and phase margin in degrees, delay margin in seconds.
+ *   A margin is Infinity when there is no crossover and null when it cannot be determined.
+ */
+function stabilityMargins(loopGain, options = {}) {
+  let T = loopGain;
+  if (typeof loopGain !== 'function') {
+    const tf = loopGain.t !== undefined ? {n: loopGain.t, d: '1'} : loopGain;
+    T = frequency.transferFunctionEvaluator(tf, options.params);
+  }
+  const w = frequency.frequencyGrid({
+    wStart: options.wStart || 1e-3,
+    wStop: options.wStop || 1e9,
+    points: options.points || 1000,
+    scale: 'log'
+  });
+
+  const magDb = (x) => 20 * Math.log10(math.abs(T(x)));
+  const values = w.map(T);
+  const mag = values.map(h => 20 * Math.log10(math.abs(h)));
+  const phase = frequency.unwrapPhase(values.map(h => math.arg(h) * 180 / Math.PI));
+  // Phase at x, taken as the branch closest to a reference phase
+  const phaseNear = (x, ref) => {
+    const p = math.arg(T(x)) * 180 / Math.PI;
+    return p + 360 * Math.round((ref - p) / 360);
+  };
+
+  let result = {
+    gainCrossovers: [],
+    phaseCrossovers: [],
+    gainMargin: Infinity,
+    gainMarginFrequency: null,
+    phaseMargin: Infinity,
+    phaseMarginFrequency: null,
+    delayMargin: Infinity,
+    unstable: false,
+    multipleCrossovers: false,
+    warnings: []
+  };
+
+  if (mag.every(m => m === -Infinity)) {
+    result.warnings.push('Loop gain is zero - the graph has no loops');
+    return result;
+  }
+
+  for (let i = 1; i < w.length; i++) {
+    // Gain crossover: |T| passes through 0 dB
+    if ((mag[i - 1] > 0) !== (mag[i] > 0)) {
+      const wc = bisect(x => magDb(x), w[i - 1], w[i]);
+      const p = phaseNear(wc, (phase[i - 1] + phase[i]) / 2);
+      result.gainCrossovers.push({w: wc, phase: p});
+    }
+
+    // Phase crossover: phase passes through -180 + k*360
+    const k0 = Math.floor((phase[i - 1] + 180) / 360);
+    const k1 = Math.floor((phase[i] + 180) / 360);
+    if (k0 !== k1) {
+      const target = 360 * Math.max(k0, k1) - 180;
+      const wp = bisect(x => phaseNear(x, target) - target, w[i - 1], w[i]);
+      result.phaseCrossovers.push({w: wp, magnitude: magDb(wp)});
+    }
+  }
+
+  if (!result.gainCrossovers.length && mag.every(m => m > 0)) {
+    result.phaseMargin = null;
+    result.delayMargin = null;
+    result.warnings.push('|T| > 1 over the whole sweep - no gain crossover, widen wStart/wStop');
+  }
+
+  result.gainCrossovers.forEach((c) => {
+    const pm = wrap180(180 + c.phase);
+    if (result.phaseMargin === null || pm < result.phaseMargin) {
+      result.phaseMargin = pm;
+      result.phaseMarginFrequency = c.w;
+    }
+    const dm = pm > 0 ? (pm * Math.PI / 180) / c.w : 0;
+    if (result.delayMargin === null || dm < result.delayMargin)
+      result.delayMargin = dm;
+  });
+
+  result.phaseCrossovers.forEach((c) => {
+    const gm = -c.magnitude;
+    if (gm < result.gainMargin) {
+      result.gainMargin = gm;
+      result.gainMarginFrequency = c.w;
+    }
+  });
+
+  result.unstable = (result.phaseMargin !== null && result.phaseMargin <= 0) || result.gainMargin <= 0;
+  result.multipleCrossovers = result.gainCrossovers.length > 1 || result.phaseCrossovers.length > 1;
+
+  if (result.gainCrossovers.length > 1)
+    result.warnings.push(`${result.gainCrossovers.length} gain crossovers - the smallest phase margin is reported`);
+  if (result.phaseCrossovers.length > 1)
+    result.warnings.push(`${result.phaseCrossovers.length} phase crossovers - the smallest gain margin is reported`);
+  if (result.unstable)
+    result.warnings.push('Closed loop is unstable');
+
+  return result;
+}
+
+/**
+ * Find a root of f between a and b (f(a) and f(b) of opposite sign), bisecting in log frequency
+ */
+function bisect(f, a, b) {
+  let fa = f(a);
+  if (!isFinite(fa))
+    throw new errors.EvaluationError(`Loop gain cannot be evaluated at w = ${a}`);
+
+  for (let i = 0; i < BISECTIONS; i++) {
+    const mid = Math.sqrt(a * b);
+    const fm = f(mid);
+    if ((fa > 0) === (fm > 0)) {
+      a = mid;
+      fa = fm;
+    } else {
+      b = mid;
+    }
+  }
+  return Math.sqrt(a * b);
+}
+
+function wrap180(deg) {
+  let x = ((deg + 180) % 360 + 360) % 360 - 180;
+  return x === -180 ? 180 : x;
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  stabilityMargins
+};
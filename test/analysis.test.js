@@ -0,0 +1,91 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const random = require('../random.js');
+const {needsAlgebra, graphOf, assertClose} = require('./helpers.js');
+
+describe('seeded random numbers', () => {
+  it('repeat for the same seed and stay in [0, 1)', () => {
+    const a = random.mulberry32(42), b = random.mulberry32(42), c = random.mulberry32(43);
+    const first = Array.from({length: 100}, a);
+    assert.deepStrictEqual(Array.from({length: 100}, b), first);
+    assert.notDeepStrictEqual(Array.from({length: 100}, c), first);
+    first.forEach(x => assert.ok(x >= 0 && x < 1));
+  });
+
+  it('give standard normal samples', () => {
+    const normal = random.gaussian(random.mulberry32(1));
+    const xs = Array.from({length: 5000}, normal);
+    const mean = xs.reduce((a, x) => a + x, 0) / xs.length;
+    const variance = xs.reduce((a, x) => a + (x - mean) * (x - mean), 0) / (xs.length - 1);
+    assert.ok(Math.abs(mean) < 0.05, `mean ${mean}`);
+    assert.ok(Math.abs(variance - 1) < 0.05, `variance ${variance}`);
+  });
+});
+
+describe('parameter sweep and Monte Carlo', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+  const analysis = require('../analysis.js');
+  const errors = require('../errors.js');
+
+  // Single pole amplifier A / (1 + s T) with feedback B
+  const graph = graphOf([['x', 'e', '1'], ['e', 'y', 'A / (1 + s*T)'], ['y', 'e', '-B']]);
+  const nominal = {A: 1000, B: 0.1, T: 1e-3};
+  const dcGain = p => p.A / (1 + p.A * p.B);
+
+  it('evaluates the built-in metrics over a sweep', () => {
+    const result = sfg.parameterSweep(graph, 'x', 'y', {
+      parameter: 'B', values: [0.01, 0.1], params: nominal, metrics: ['dcGain', 'bandwidth', 'phaseMargin']
+    });
+    assert.strictEqual(result.parameter, 'B');
+    result.values.forEach((B, i) => {
+      const loop = nominal.A * B;
+      assertClose(result.metrics.dcGain[i], dcGain(Object.assign({}, nominal, {B})));
+      assertClose(result.metrics.bandwidth[i], (1 + loop) / nominal.T, 1e-6);
+      assertClose(result.metrics.phaseMargin[i], 180 - Math.atan(Math.sqrt(loop * loop - 1)) * 180 / Math.PI, 1e-6);
+    });
+  });
+
+  it('builds the value list from a range and accepts metric functions', () => {
+    const gainAt1k = function gainAt1k(model, params) {
+      return model.H(1000, params).re;
+    };
+    const result = sfg.parameterSweep(graph, 'x', 'y', {parameter: 'A', from: 10, to: 1000, steps: 3, scale: 'log',
+      params: nominal, metrics: [gainAt1k]});
+    result.values.forEach((A, i) => assertClose(A, [10, 100, 1000][i]));
+    assert.deepStrictEqual(Object.keys(result.metrics), ['gainAt1k']);
+    assert.throws(() => sfg.parameterSweep(graph, 'x', 'y', {parameter: 'A'}), errors.SfgError);
+  });
+
+  it('varies the toleranced parameters and summarizes the samples', () => {
+    const run = seed => sfg.monteCarlo(graph, 'x', 'y', {
+      params: nominal, tolerances: {A: 0.2, B: {tolerance: 0.05, distribution: 'gaussian'}}, samples: 200, seed,
+      spec: {dcGain: {min: 9.8, max: 10}}
+    });
+    const result = run(5);
+    assert.strictEqual(result.samples.length, 200);
+    result.samples.forEach((s) => {
+      assert.ok(Math.abs(s.params.A / nominal.A - 1) <= 0.2);
+      assert.strictEqual(s.params.T, nominal.T);
+      assertClose(s.metrics.dcGain, dcGain(s.params));
+    });
+
+    const values = result.samples.map(s => s.metrics.dcGain);
+    const stats = result.stats.dcGain;
+    assert.strictEqual(stats.count, 200);
+    assert.strictEqual(stats.min, Math.min(...values));
+    assert.strictEqual(stats.max, Math.max(...values));
+    assertClose(stats.mean, values.reduce((a, v) => a + v, 0) / 200);
+    assertClose(result.yield, values.filter(v => v >= 9.8 && v <= 10).length / 200);
+    assert.deepStrictEqual(run(5).samples, result.samples);
+    assert.notDeepStrictEqual(run(6).samples, result.samples);
+  });
+
+  it('needs a nominal value for every toleranced parameter', () => {
+    assert.throws(() => sfg.monteCarlo(graph, 'x', 'y', {params: {A: 1}, tolerances: {B: 0.1}}), errors.SfgError);
+  });
+
+  it('counts failed samples in the statistics', () => {
+    assert.deepStrictEqual(analysis.statistics([1, null, 3]), {mean: 2, std: Math.SQRT2, min: 1, max: 3, count: 2, failed: 1});
+    assert.deepStrictEqual(analysis.statistics([null]), {mean: null, std: null, min: null, max: null, count: 0, failed: 1});
+  });
+});
@@ -0,0 +1,17 @@
+const {HAS_ALGEBRA} = require('./helpers.js');
+
+/**
+ * Run before the test suites (npm pretest): without the rwalgebrajs submodule
+ * every suite that goes through Mason's rule is skipped, so say so up front.
+ */
+
+if (!HAS_ALGEBRA) {
+  const line = '*'.repeat(72);
+  console.warn([
+    line,
+    'NOTICE: the rwalgebrajs submodule is not checked out.',
+    'Every suite that goes through Mason\'s rule is SKIPPED - most of the',
+    'library is untested. Run `git submodule update --init` first.',
+    line
+  ].join('\n'));
+}
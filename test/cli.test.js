@@ -0,0 +1,70 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {needsAlgebra, evaluate, assertClose} = require('./helpers.js');
+
+// Collects what is written to it
+function sink() {
+  return {text: '', write(chunk) { this.text += chunk; }};
+}
+
+describe('cli', needsAlgebra, () => {
+  const cli = require('../cli.js');
+  let dir;
+
+  function run(args) {
+    const io = {stdout: sink(), stderr: sink()};
+    const code = cli.main(args, io);
+    return {code, stdout: io.stdout.text, stderr: io.stderr.text};
+  }
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfg-cli-'));
+    fs.writeFileSync(path.join(dir, 'amp.eqn'), 'input Vin\noutput Vout\nparam K = 10\n\nVe = Vin - Vout\nVout = K*Ve\n');
+    fs.writeFileSync(path.join(dir, 'bad.eqn'), '# not linear\n\nVe = Vin - Vout\nVout = Ve*Ve\n');
+  });
+
+  after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('prints the transfer function', () => {
+    const result = run(['analyze', path.join(dir, 'amp.eqn')]);
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.stdout.startsWith('Vout/Vin = ('));
+    assert.ok(result.stdout.includes('bode magnitude: '));
+  });
+
+  it('writes JSON with the loop gain as strings', () => {
+    const result = run(['analyze', path.join(dir, 'amp.eqn'), '--format', 'json', '--loop-gain']);
+    assert.strictEqual(result.code, 0);
+    const out = JSON.parse(result.stdout);
+    assert.strictEqual(out.start, 'Vin');
+    assert.strictEqual(out.end, 'Vout');
+    assertClose(evaluate(out.n).re / evaluate(out.d).re, 10 / 11);
+    assert.strictEqual(typeof out.loopGain.t, 'string');
+    // delta = 1 + K, so the loop gain (delta - 1) is K
+    assertClose(evaluate(out.loopGain.t), 10);
+    assert.strictEqual(typeof out.loopGain.bode.magnitude, 'string');
+    assert.strictEqual(typeof out.loopGain.bode.phase, 'string');
+  });
+
+  it('overrides file parameters with --param', () => {
+    const out = JSON.parse(run(['analyze', path.join(dir, 'amp.eqn'), '--format', 'json', '--param', 'K=1k']).stdout);
+    assertClose(evaluate(out.n).re / evaluate(out.d).re, 1000 / 1001);
+  });
+
+  it('reports equation errors with file and line', () => {
+    const file = path.join(dir, 'bad.eqn');
+    const result = run(['analyze', file, '--from', 'Vin', '--to', 'Vout']);
+    assert.strictEqual(result.code, 1);
+    assert.ok(result.stderr.startsWith(`sfg: ${file}:4: `), result.stderr);
+  });
+
+  it('exits with 2 on invalid usage', () => {
+    const result = run(['analyze', path.join(dir, 'amp.eqn'), '--format', 'pdf']);
+    assert.strictEqual(result.code, 2);
+    assert.ok(result.stderr.startsWith('sfg: Unknown format pdf'));
+    assert.strictEqual(run(['analyze', path.join(dir, 'bad.eqn')]).code, 2);
+  });
+});
@@ -0,0 +1,44 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const cycles = require('../cycles.js');
+const {graphOf} = require('./helpers.js');
+
+describe('elementaryCircuits', () => {
+  it('finds every loop once, in canonical rotation', () => {
+    const graph = graphOf([['b', 'c', 'G'], ['c', 'b', 'H'], ['c', 'a', 'K'], ['a', 'b', 'L']]);
+    const loops = cycles.elementaryCircuits(graph);
+
+    assert.deepStrictEqual(loops.map(l => l.id), ['ab|bc|ca', 'bc|cb']);
+    assert.deepStrictEqual(loops.map(cycles.loopNodes), [['a', 'b', 'c'], ['b', 'c']]);
+  });
+
+  it('counts the circuits of a complete directed graph', () => {
+    const ids = ['a', 'b', 'c', 'd'];
+    let edges = [];
+    ids.forEach(x => ids.forEach((y) => {
+      if (x !== y)
+        edges.push([x, y, `g${x}${y}`]);
+    }));
+    // 6 two-node, 4 * 2 three-node and 3! four-node circuits
+    assert.strictEqual(cycles.elementaryCircuits(graphOf(edges)).length, 6 + 8 + 6);
+  });
+
+  it('expands parallel edges and reports self-loops', () => {
+    const graph = graphOf([['a', 'b', 'G1'], ['a', 'b', 'G2'], ['b', 'a', 'H'], ['b', 'b', 'S']]);
+    const loops = cycles.elementaryCircuits(graph);
+
+    assert.deepStrictEqual(loops.map(l => l.id), ['ab_1|ba', 'ab|ba', 'bb']);
+    assert.deepStrictEqual(loops[2].map(e => e.weight), ['S']);
+  });
+
+  it('gives the same ids whatever the order the nodes were added in', () => {
+    const edges = [['x', 'y', 'A'], ['y', 'z', 'B'], ['z', 'x', 'C'], ['y', 'x', 'D']];
+    const forward = cycles.elementaryCircuits(graphOf(edges)).map(l => l.id);
+    const backward = cycles.elementaryCircuits(graphOf(edges.slice().reverse())).map(l => l.id);
+    assert.deepStrictEqual(backward, forward);
+  });
+
+  it('returns no loops for an acyclic graph', () => {
+    assert.deepStrictEqual(cycles.elementaryCircuits(graphOf([['a', 'b', 'G'], ['b', 'c', 'H'], ['a', 'c', 'K']])), []);
+  });
+});
@@ -0,0 +1,139 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const equations = require('../equations.js');
+const parser = require('../parser.js');
+const errors = require('../errors.js');
+
+// Assert that fn throws an EquationParseError whose message is expected
+function assertParseError(fn, expected) {
+  assert.throws(fn, (e) => {
+    assert.ok(e instanceof errors.EquationParseError);
+    assert.strictEqual(e.message, expected);
+    return true;
+  });
+}
+
+describe('parseValue', () => {
+  it('applies SPICE suffixes', () => {
+    assert.strictEqual(equations.parseValue('1k'), 1000);
+    assert.strictEqual(equations.parseValue('2.2meg'), 2.2e6);
+    assert.strictEqual(equations.parseValue('10uF'), 1e-5);
+    assert.strictEqual(equations.parseValue('4.7M'), 4.7e-3);
+    assert.strictEqual(equations.parseValue('1e-3'), 1e-3);
+    assert.strictEqual(equations.parseValue('-.5'), -0.5);
+  });
+
+  it('rejects anything that is not a number', () => {
+    assert.ok(isNaN(equations.parseValue('k1')));
+    assert.ok(isNaN(equations.parseValue('1/R1')));
+  });
+});
+
+describe('parseEquations', () => {
+  const text = [
+    '# amplifier',
+    'input V_n1',
+    '.output V_n3     # dotted form',
+    'param K = 10',
+    'R1 = 1k',
+    '',
+    'V_n1 = 8',
+    'V_n3 = K*V_n1/R1   # gain stage'
+  ].join('\n');
+
+  it('reads the header, parameters and equations', () => {
+    const result = equations.parseEquations(text, {file: 'amp.eqn'});
+    assert.strictEqual(result.input, 'V_n1');
+    assert.strictEqual(result.output, 'V_n3');
+    assert.deepStrictEqual(result.params, {K: 10, R1: 1000});
+    assert.deepStrictEqual(result.equations, ['V_n1 = 8', 'V_n3 = K*V_n1/R1']);
+    assert.deepStrictEqual(result.locations, [{file: 'amp.eqn', line: 7}, {file: 'amp.eqn', line: 8}]);
+  });
+
+  it('keeps equations whose left hand side is a directive name', () => {
+    assert.deepStrictEqual(equations.parseEquations('input = 2*x').equations, ['input = 2*x']);
+  });
+
+  it('reports problems with file and line', () => {
+    assertParseError(() => equations.parseEquations('V1 = 1\nV2 = = 3', {file: 'a.eqn'}),
+      'a.eqn:2: expected an equation of the form lhs = rhs, got "V2 = = 3"');
+    assertParseError(() => equations.parseEquations('input V1\n.input V2', {file: 'a.eqn'}),
+      'a.eqn:2: input already declared as V1 at a.eqn:1');
+    assertParseError(() => equations.parseEquations('R1 = 1k\nparam R1 = 2k', {file: 'a.eqn'}),
+      'a.eqn:2: parameter R1 already declared as 1000 at a.eqn:1');
+    assertParseError(() => equations.parseEquations('param K = ten', {file: 'a.eqn'}),
+      'a.eqn:1: invalid value "ten" for parameter K');
+    assertParseError(() => equations.parseEquations('.unit V', {file: 'a.eqn'}), 'a.eqn:1: unknown directive ".unit"');
+  });
+});
+
+describe('loadEquations', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfg-equations-'));
+    fs.mkdirSync(path.join(dir, 'lib'));
+    fs.writeFileSync(path.join(dir, 'main.eqn'), 'input V1\ninclude lib/stage.eqn\nV1 = 1\n');
+    fs.writeFileSync(path.join(dir, 'lib', 'stage.eqn'), 'R2 = 4.7k\n\nV2 = V1/R2\n');
+    fs.writeFileSync(path.join(dir, 'loop.eqn'), 'include loop.eqn\n');
+  });
+
+  after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('follows includes relative to the including file', () => {
+    const result = equations.loadEquations(path.join(dir, 'main.eqn'));
+    assert.deepStrictEqual(result.equations, ['V2 = V1/R2', 'V1 = 1']);
+    assert.deepStrictEqual(result.params, {R2: 4700});
+    assert.deepStrictEqual(result.locations.map(l => [path.basename(l.file), l.line]), [['stage.eqn', 3], ['main.eqn', 3]]);
+  });
+
+  it('rejects recursive and missing includes', () => {
+    const file = path.join(dir, 'loop.eqn');
+    assertParseError(() => equations.loadEquations(file), `${file}:1: recursive include of loop.eqn`);
+    assert.throws(() => equations.loadEquations(path.join(dir, 'missing.eqn')), /cannot read file \(ENOENT\)/);
+  });
+});
+
+describe('locateError', () => {
+  const locations = [{file: 'a.eqn', line: 3}, {file: 'b.eqn', line: 7}];
+
+  it('replaces the equation index with file and line', () => {
+    const error = new errors.EquationParseError('not linear', {index: 1, equation: 'V2 = V1^2'});
+    assert.strictEqual(error.message, 'Equation 1 (V2 = V1^2): not linear');
+    const located = equations.locateError(error, locations);
+    assert.ok(located instanceof errors.EquationParseError);
+    assert.strictEqual(located.message, 'b.eqn:7: not linear');
+    assert.strictEqual(located.equation, 'V2 = V1^2');
+  });
+
+  it('leaves other errors alone', () => {
+    const other = new errors.UnknownNodeError('V9');
+    assert.strictEqual(equations.locateError(other, locations), other);
+    const unknown = new errors.EquationParseError('bad', {index: 5});
+    assert.strictEqual(equations.locateError(unknown, locations), unknown);
+  });
+});
+
+describe('unitless parameters', () => {
+  it('explains that R1 = 1000 defines a node and suggests param', () => {
+    const loaded = equations.parseEquations(['input V_n1', 'R1 = 1000', 'V_n1 = 8', 'V_n2 = V_n1/R1'].join('\n'), {file: 'amp.eqn'});
+    assert.deepStrictEqual(loaded.params, {});
+    assertParseError(() => {
+      try {
+        parser.equationsToGraph(loaded.equations);
+      } catch (e) {
+        throw equations.locateError(e, loaded.locations);
+      }
+    }, 'amp.eqn:4: V_n1 / R1 divides by a node variable (R1 = 1000 defines a node; for a parameter write param R1 = 1000)');
+  });
+
+  it('gives the hint for coefficients but not for source nodes named like nodes', () => {
+    assertParseError(() => parser.equationsToGraph(['Kx = 10', 'V_n1 = 8', 'V_n2 = Kx*V_n1']),
+      'Equation 2 (V_n2 = Kx*V_n1): Kx * V_n1 is not linear in the node variables (Kx = 10 defines a node; for a parameter write param Kx = 10)');
+    assertParseError(() => parser.equationsToGraph(['V_n1 = 8', 'V_n2 = V_n1*V_n2']),
+      'Equation 1 (V_n2 = V_n1*V_n2): V_n1 * V_n2 is not linear in the node variables');
+  });
+});
@@ -0,0 +1,79 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const errors = require('../errors.js');
+const parser = require('../parser.js');
+const frequency = require('../frequency.js');
+const {needsAlgebra, graphOf} = require('./helpers.js');
+
+// Assert that fn throws an instance of type whose properties include details
+function assertThrowsWith(fn, type, details) {
+  assert.throws(fn, (e) => {
+    assert.ok(e instanceof type, `expected ${type.name}, got ${e.name}: ${e.message}`);
+    assert.ok(e instanceof errors.SfgError);
+    Object.keys(details).forEach(key => assert.strictEqual(e[key], details[key], key));
+    return true;
+  });
+}
+
+describe('error classes', () => {
+  it('are SfgErrors named after their class', () => {
+    ['UnknownNodeError', 'EquationParseError', 'InconsistentGraphError', 'NoForwardPathError', 'EvaluationError',
+      'VerificationError'].forEach((name) => {
+      const e = name === 'UnknownNodeError' || name === 'NoForwardPathError' ? new errors[name]('a', 'b') : new errors[name]('message');
+      assert.ok(e instanceof errors.SfgError, name);
+      assert.ok(e instanceof Error, name);
+      assert.strictEqual(e.name, name);
+    });
+  });
+
+  it('carry the offending ids', () => {
+    const unknown = new errors.UnknownNodeError('V9');
+    assert.strictEqual(unknown.message, 'Unknown node V9');
+    assert.strictEqual(unknown.nodeId, 'V9');
+
+    const noPath = new errors.NoForwardPathError('a', 'b');
+    assert.strictEqual(noPath.message, 'No forward path from a to b');
+    assert.deepStrictEqual([noPath.start, noPath.end], ['a', 'b']);
+
+    const parse = new errors.EquationParseError('bad', {index: 2, equation: 'V1 = ='});
+    assert.strictEqual(parse.message, 'Equation 2 (V1 = =): bad');
+    assert.strictEqual(new errors.EquationParseError('bad', {file: 'f.eqn', line: 4, index: 2}).message, 'f.eqn:4: bad');
+  });
+});
+
+describe('thrown errors', () => {
+  it('reports the index of a malformed equation', () => {
+    assertThrowsWith(() => parser.equationsToGraph(['V1 = 2', 'V2 = V1 +']), errors.EquationParseError,
+      {index: 1, equation: 'V2 = V1 +'});
+    assertThrowsWith(() => parser.equationsToGraph(['V1 = 2', 'V2 = 3 = V1']), errors.EquationParseError, {index: 1});
+    assertThrowsWith(() => parser.equationsToGraph(['V1 = 2', 'V2 = V1*V1']), errors.EquationParseError, {index: 1});
+  });
+
+  it('names the edge and node of an inconsistent graph', () => {
+    const graph = graphOf([['a', 'b', 'G']]);
+    assertThrowsWith(() => graph.addEdge('H', 'x', 'b'), errors.InconsistentGraphError, {nodeId: 'x'});
+    assertThrowsWith(() => graph.addNode('a'), errors.InconsistentGraphError, {nodeId: 'a'});
+  });
+
+  it('names the unbound symbol of an expression', () => {
+    assertThrowsWith(() => frequency.compileExpression('R1*w')({w: 1}), errors.EvaluationError,
+      {expression: 'R1*w', symbol: 'R1'});
+  });
+});
+
+describe('public API errors', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+  const graph = graphOf([['x', 'a', 'G'], ['a', 'y', 'H'], ['z', 'a', 'K']]);
+
+  it('exports every error class', () => {
+    ['SfgError', 'UnknownNodeError', 'EquationParseError', 'InconsistentGraphError', 'NoForwardPathError',
+      'EvaluationError'].forEach(name => assert.strictEqual(sfg[name], errors[name], name));
+  });
+
+  it('throws instead of returning undefined', () => {
+    assertThrowsWith(() => sfg.computeMasons(graph, 'x', 'nope'), errors.UnknownNodeError, {nodeId: 'nope'});
+    assertThrowsWith(() => sfg.computeMasons(graph, 'nope', 'y'), errors.UnknownNodeError, {nodeId: 'nope'});
+    assertThrowsWith(() => sfg.computeMasons(graph, 'z', 'x'), errors.NoForwardPathError, {start: 'z', end: 'x'});
+    assertThrowsWith(() => sfg.computeSFG(['V1 = 2', 'V2 = V1 +']), errors.EquationParseError, {index: 1});
+  });
+});
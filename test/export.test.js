@@ -0,0 +1,53 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const exporter = require('../export.js');
+const {graphOf} = require('./helpers.js');
+
+const graph = graphOf([['x', 'a', 'G'], ['a', 'y', 'H'], ['y', 'a', '-K'], ['a', 'y', 'M'], ['a', 'a', 'L']], {x: 5});
+
+describe('toDot', () => {
+  const dot = exporter.toDot(graph, {highlight: ['xa']});
+
+  it('emits every node and edge with its weight and id', () => {
+    assert.ok(dot.startsWith('digraph "SFG" {\n  rankdir=LR;\n'));
+    assert.ok(dot.includes('"a" -> "y" [label="H", id="ay"];'));
+    assert.ok(dot.includes('"a" -> "y" [label="M", id="ay_1"];'));
+    assert.ok(dot.includes('"a" -> "a" [label="L", id="aa"];'));
+    assert.ok(dot.includes('"x" [label="x\\n5", shape=box'));
+  });
+
+  it('boxes source nodes and highlights the chosen edges', () => {
+    assert.ok(dot.includes('"x" -> "a" [label="G", id="xa", color="#d62728"'));
+    assert.ok(/"y" \[label="y"\];/.test(dot));
+    assert.ok(!dot.includes('"a" [label="a", shape=box'));
+  });
+
+  it('accepts edges as well as edge ids to highlight, and escapes quotes', () => {
+    const g = graphOf([['p', 'q', 'a"b']]);
+    const out = exporter.toDot(g, {highlight: [g.getEdge('pq')], name: 'my "graph"'});
+    assert.ok(out.startsWith('digraph "my \\"graph\\"" {'));
+    assert.ok(out.includes('label="a\\"b", id="pq", color="#d62728"'));
+  });
+});
+
+describe('toSvg', () => {
+  const svg = exporter.toSvg(graph, {highlight: ['xa']});
+
+  it('draws a path per edge and a shape per node', () => {
+    assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+    assert.ok(svg.trimEnd().endsWith('</svg>'));
+    ['xa', 'ay', 'ay_1', 'ya', 'aa'].forEach(id => assert.ok(svg.includes(`<path id="${id}"`), id));
+    assert.strictEqual((svg.match(/<rect /g) || []).length, 1);
+    assert.strictEqual((svg.match(/<circle /g) || []).length, 2);
+  });
+
+  it('highlights the chosen edges', () => {
+    assert.ok(/<path id="xa" [^>]*stroke="#d62728"[^>]*marker-end="url\(#arrow1\)"/.test(svg));
+    assert.ok(/<path id="ay" [^>]*stroke="black"/.test(svg));
+  });
+
+  it('escapes weights and ids for XML', () => {
+    const out = exporter.toSvg(graphOf([['p', 'q', 'a<b & c']]));
+    assert.ok(out.includes('a&lt;b &amp; c'));
+  });
+});
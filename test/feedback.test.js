@@ -0,0 +1,67 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const math = require('mathjs');
+const {needsAlgebra, graphOf, gainOf, evaluate, solveNodes, assertClose} = require('./helpers.js');
+
+describe('computeReturnRatio', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+  const errors = require('../errors.js');
+
+  // Amplifier A with feedback B, a feedforward path D and a local loop L on the input node
+  const graph = graphOf([['x', 'e', '1'], ['e', 'y', 'A'], ['y', 'e', '-B'], ['x', 'y', 'D'], ['e', 'e', 'L']]);
+  const scope = {A: 100, B: 0.1, D: 0.5, L: 0.2};
+  const T = scope.A * scope.B / (1 - scope.L);
+
+  it('breaks the loop at the chosen edge', () => {
+    const r = sfg.computeReturnRatio(graph, 'ey');
+    assert.strictEqual(r.edge, 'ey');
+    assert.strictEqual(r.testNode, 'TEST_ey');
+    assertClose(gainOf(r.t, scope), T);
+    assertClose(evaluate(r.cutDelta, scope), 1 - scope.L);
+  });
+
+  it('differs from 1 - delta when there are several loops', () => {
+    const delta = evaluate(sfg.computeLoopGain(graph).t, scope);
+    assertClose(delta, scope.A * scope.B - scope.L);
+    assertClose(math.add(1, delta), math.multiply(1 - scope.L, 1 + T));
+  });
+
+  it('gives the pieces of the asymptotic gain model', () => {
+    const {asymptotic} = sfg.computeReturnRatio(graph, 'ey', {input: 'x', output: 'y'});
+    const h = gainOf(asymptotic.h, scope), t = gainOf(asymptotic.t, scope);
+    const g0 = gainOf(asymptotic.g0, scope), gInf = gainOf(asymptotic.gInf, scope);
+
+    assertClose(h, gainOf(sfg.computeMasons(graph, 'x', 'y'), scope));
+    assertClose(g0, scope.D);
+    assertClose(gInf, 1 / scope.B);
+    // H = G_inf T / (1 + T) + G_0 / (1 + T)
+    assertClose(h, math.divide(math.add(math.multiply(gInf, t), g0), math.add(1, t)));
+  });
+
+  it('uses source ratios for an internal input node', () => {
+    const {asymptotic} = sfg.computeReturnRatio(graph, 'ey', {input: 'e', output: 'y'});
+    const h = gainOf(asymptotic.h, scope), t = gainOf(asymptotic.t, scope);
+    const g0 = gainOf(asymptotic.g0, scope), gInf = gainOf(asymptotic.gInf, scope);
+
+    const direct = solveNodes(graph, 'x', scope);
+    assertClose(h, math.divide(direct.y, direct.e));
+    const cut = solveNodes(graphOf([['x', 'e', '1'], ['y', 'e', '-B'], ['x', 'y', 'D'], ['e', 'e', 'L']]), 'x', scope);
+    assertClose(g0, math.divide(cut.y, cut.e));
+    assertClose(h, math.divide(math.add(math.multiply(gInf, t), g0), math.add(1, t)));
+  });
+
+  it('needs both input and output, and nodes of the graph', () => {
+    assert.throws(() => sfg.computeReturnRatio(graph, 'ey', {input: 'x'}), /needs both options.input and options.output/);
+    assert.throws(() => sfg.computeReturnRatio(graph, 'ey', {input: 'x', output: 'nope'}), errors.UnknownNodeError);
+  });
+
+  it('has no G_inf when the edge is not in a loop', () => {
+    const r = sfg.computeReturnRatio(graph, 'xy', {input: 'x', output: 'y'});
+    assertClose(gainOf(r.t, scope), 0);
+    assert.strictEqual(r.asymptotic.gInf, null);
+  });
+
+  it('throws for an unknown edge', () => {
+    assert.throws(() => sfg.computeReturnRatio(graph, 'zz'), errors.InconsistentGraphError);
+  });
+});
@@ -0,0 +1,61 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const math = require('mathjs');
+const frequency = require('../frequency.js');
+const errors = require('../errors.js');
+const {assertClose} = require('./helpers.js');
+
+describe('frequencyGrid', () => {
+  it('spaces points logarithmically or linearly', () => {
+    frequency.frequencyGrid({wStart: 1, wStop: 1e3, points: 4}).forEach((w, i) => assertClose(w, Math.pow(10, i)));
+    assert.deepStrictEqual(frequency.frequencyGrid({wStart: 0, wStop: 10, points: 3, scale: 'linear'}), [0, 5, 10]);
+    assert.strictEqual(frequency.frequencyGrid().length, 100);
+  });
+
+  it('rejects unknown scales and non-positive log limits', () => {
+    assert.throws(() => frequency.frequencyGrid({scale: 'octave'}), errors.SfgError);
+    assert.throws(() => frequency.frequencyGrid({wStart: 0}), /must be positive/);
+  });
+});
+
+describe('unwrapPhase', () => {
+  it('removes 360 degree jumps', () => {
+    assert.deepStrictEqual(frequency.unwrapPhase([170, 179, -179, -170, 170]), [170, 179, 181, 190, 170]);
+  });
+});
+
+describe('frequencyResponse', () => {
+  it('evaluates a first order low pass', () => {
+    const tf = {n: 'A', d: '1 + j*w*T'};
+    const r = frequency.frequencyResponse(tf, {wStart: 10, wStop: 1e4, points: 4, params: {A: 10, T: 1e-3}});
+    assert.deepStrictEqual(Object.keys(r), ['w', 'magnitude', 'phase', 'H']);
+    // corner frequency at w = 1/T = 1000 (index 2)
+    assertClose(r.magnitude[2], 20 - 10 * Math.log10(2));
+    assertClose(r.phase[2], -45);
+    assertClose(r.H[2], math.complex(5, -5));
+    assertClose(r.magnitude[0], 20 + 20 * Math.log10(1 / Math.hypot(1, 0.01)));
+  });
+
+  it('unwraps the phase past -180 degrees', () => {
+    const r = frequency.frequencyResponse({n: '1', d: '(1 + s)^3'}, {wStart: 0.1, wStop: 100, points: 50});
+    r.phase.slice(1).forEach((p, i) => assert.ok(p < r.phase[i], 'phase decreases monotonically'));
+    assert.ok(r.phase[r.phase.length - 1] < -260);
+    assertClose(r.phase[r.phase.length - 1], -3 * Math.atan(100) * 180 / Math.PI);
+  });
+
+  it('writes CSV and JSON', () => {
+    const r = frequency.frequencyResponse({n: '1', d: '1 + s'}, {wStart: 1, wStop: 10, points: 2});
+    const json = frequency.responseToJSON(r);
+    assert.deepStrictEqual(Object.keys(json), ['w', 'magnitude', 'phase', 're', 'im']);
+    assertClose(json.re[0], 0.5);
+    assertClose(json.im[0], -0.5);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(json)), json);
+
+    const csv = frequency.responseToCSV(r).split('\n');
+    assert.strictEqual(csv[0], 'w,magnitude_db,phase_deg,re,im');
+    assert.strictEqual(csv.length, 4);
+    assert.deepStrictEqual(csv[1].split(',').map(Number).slice(0, 3).map(x => Math.round(x * 1e6) / 1e6),
+      [1, -3.0103, -45]);
+    assert.strictEqual(csv[3], '');
+  });
+});
@@ -0,0 +1,112 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {SignalFlowGraph} = require('../graph.js');
+const datamodel = require('../datamodel.js');
+const errors = require('../errors.js');
+const {needsAlgebra, graphOf, gainOf, assertClose} = require('./helpers.js');
+
+describe('SignalFlowGraph', () => {
+  it('indexes nodes and edges with their adjacency', () => {
+    const graph = graphOf([['a', 'b', 'G'], ['b', 'c', 'H'], ['c', 'b', '-K']]);
+
+    assert.deepStrictEqual(graph.nodeIds(), ['a', 'b', 'c']);
+    assert.strictEqual(graph.getEdge('ab').weight, 'G');
+    assert.deepStrictEqual(graph.outgoingEdges('b').map(e => e.id), ['bc']);
+    assert.deepStrictEqual(graph.incomingEdges('b').map(e => e.id), ['ab', 'cb']);
+    assert.deepStrictEqual(graph.incomingEdges('a'), []);
+    assert.deepStrictEqual(graph.outgoingEdges('missing'), []);
+  });
+
+  it('gives parallel edges unique ids', () => {
+    const graph = graphOf([['a', 'b', 'G1'], ['a', 'b', 'G2'], ['a', 'b', 'G3']]);
+    assert.deepStrictEqual([...graph.edges.keys()], ['ab', 'ab_1', 'ab_2']);
+  });
+
+  it('removes edges and nodes together with their adjacency', () => {
+    const graph = graphOf([['a', 'b', 'G'], ['b', 'c', 'H'], ['c', 'b', '-K']]);
+
+    graph.removeEdge('cb');
+    assert.deepStrictEqual(graph.incomingEdges('b').map(e => e.id), ['ab']);
+    assert.deepStrictEqual(graph.outgoingEdges('c'), []);
+
+    graph.removeNode('b');
+    assert.deepStrictEqual(graph.nodeIds(), ['a', 'c']);
+    assert.deepStrictEqual([...graph.edges.keys()], []);
+    assert.deepStrictEqual(graph.outgoingEdges('a'), []);
+    assert.strictEqual(graph.removeNode('b'), undefined);
+  });
+
+  it('rejects duplicate nodes and edges from unknown nodes', () => {
+    const graph = graphOf([['a', 'b', 'G']]);
+    assert.throws(() => graph.addNode('a'), errors.InconsistentGraphError);
+    assert.throws(() => graph.addEdge('H', 'x', 'a'), errors.InconsistentGraphError);
+  });
+
+  it('keeps edges to nodes that are not in the graph', () => {
+    const graph = new SignalFlowGraph();
+    graph.addNode('a');
+    graph.addEdge('G', 'a', 'z');
+    assert.deepStrictEqual(graph.incomingEdges('z').map(e => e.id), ['az']);
+  });
+
+  it('clones nodes and edges', () => {
+    const graph = graphOf([['a', 'b', 'G']], {a: 1});
+    const copy = graph.clone();
+    copy.getEdge('ab').weight = 'H';
+    copy.getNode('a').value = 2;
+
+    assert.strictEqual(graph.getEdge('ab').weight, 'G');
+    assert.strictEqual(graph.getNode('a').value, 1);
+    assert.deepStrictEqual(copy.toArray().map(n => n.id), ['a', 'b']);
+  });
+
+  describe('from', () => {
+    it('returns a SignalFlowGraph unchanged', () => {
+      const graph = graphOf([['a', 'b', 'G']]);
+      assert.strictEqual(SignalFlowGraph.from(graph), graph);
+    });
+
+    it('copies a list of nodes instead of modifying it', () => {
+      let a = new datamodel.Node('a', 1);
+      let b = new datamodel.Node('b', null);
+      a.outgoingEdges.push(new datamodel.Edge('G1', 'a', 'b'), new datamodel.Edge('G2', 'a', 'b'));
+      const nodes = [a, b];
+
+      const graph = SignalFlowGraph.from(nodes);
+      assert.deepStrictEqual([...graph.edges.keys()], ['ab', 'ab_1']);
+      assert.deepStrictEqual(a.outgoingEdges.map(e => e.id), ['ab', 'ab']);
+
+      graph.removeEdge('ab');
+      graph.getNode('a').value = 2;
+      assert.strictEqual(a.outgoingEdges.length, 2);
+      assert.strictEqual(a.value, 1);
+      assert.notStrictEqual(graph.getNode('a'), a);
+    });
+
+    it('accepts an empty or missing list', () => {
+      assert.deepStrictEqual(SignalFlowGraph.from([]).nodeIds(), []);
+      assert.deepStrictEqual(SignalFlowGraph.from(undefined).nodeIds(), []);
+    });
+  });
+});
+
+describe('graph and list forms of the Mason API', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+
+  it('computeSFG returns the list of nodes', () => {
+    const nodes = sfg.computeSFG(['V2 = G*V1 - H*V2'], {nodes: ['V1']});
+    assert.ok(Array.isArray(nodes));
+    assert.deepStrictEqual(nodes.map(n => n.id).sort(), ['V1', 'V2']);
+    assert.ok(nodes.every(n => n instanceof datamodel.Node));
+  });
+
+  it('gives the same transfer function for a graph and its node list', () => {
+    const graph = graphOf([['x', 'a', 'G'], ['a', 'y', 'H'], ['y', 'a', '-K']]);
+    const scope = {G: 2, H: 3, K: 0.5};
+    const fromGraph = sfg.computeMasons(graph, 'x', 'y');
+    const fromList = sfg.computeMasons(graph.toArray(), 'x', 'y');
+
+    assertClose(gainOf(fromGraph, scope), 6 / 2.5);
+    assertClose(gainOf(fromList, scope), 6 / 2.5);
+  });
+});
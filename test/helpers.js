@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+/**
+ * Shared helpers of the test suites.
+ *
+ * Everything that goes through mason.js needs the rwalgebrajs submodule; the
+ * suites that do are skipped with a note when it is not checked out.
+ */
+
+const HAS_ALGEBRA = fs.existsSync(path.join(__dirname, '..', 'rwalgebrajs', 'RWalgebra.js'));
+
+// describe() options of a suite that needs the rwalgebrajs submodule
+const needsAlgebra = HAS_ALGEBRA ? {} : {skip: 'rwalgebrajs submodule is not checked out (git submodule update --init)'};
+
+/**
+ * @param edges - list of [startNode, endNode, weight]
+ * @param values - optional {nodeId: value}
+ * @returns {SignalFlowGraph} with a node for every id that occurs in edges
+ */
+function graphOf(edges, values = {}) {
+  const SignalFlowGraph = require('../graph.js').SignalFlowGraph;
+  const graph = new SignalFlowGraph();
+  edges.forEach(([start, end]) => {
+    [start, end].forEach((id) => {
+      if (!graph.hasNode(id))
+        graph.addNode(id, values[id] !== undefined ? values[id] : null);
+    });
+  });
+  edges.forEach(([start, end, weight]) => graph.addEdge(String(weight), start, end));
+  return graph;
+}
+
+/**
+ * Numeric value of an expression (Expression object or string)
+ *
+ * @param expr
+ * @param scope - symbol values; w defaults to 0
+ * @returns {Complex}
+ */
+function evaluate(expr, scope = {}) {
+  const math = require('mathjs');
+  const frequency = require('../frequency.js');
+  const w = scope.w !== undefined ? scope.w : 0;
+  return frequency.compileExpression(expr)(Object.assign({j: math.complex(0, 1), s: math.complex(0, w)}, scope, {w}));
+}
+
+/**
+ * Value of a transfer function {n, d}
+ */
+function gainOf(tf, scope = {}) {
+  const math = require('mathjs');
+  return math.divide(evaluate(tf.n, scope), evaluate(tf.d, scope));
+}
+
+/**
+ * Node values found by solving the linear system of the graph directly,
+ * x = W x + e_source, independently of Mason's rule
+ *
+ * @param graph - SignalFlowGraph
+ * @param source - node id the unit excitation is injected at
+ * @param scope - symbol values (see evaluate)
+ * @returns {Object.<string, Complex>} value of every node
+ */
+function solveNodes(graph, source, scope = {}) {
+  const math = require('mathjs');
+  const ids = graph.nodeIds();
+  const index = new Map(ids.map((id, i) => [id, i]));
+  let m = ids.map((id, i) => ids.map((other, k) => math.complex(i === k ? 1 : 0)));
+  graph.edges.forEach((e) => {
+    const i = index.get(e.endNode), k = index.get(e.startNode);
+    m[i][k] = math.subtract(m[i][k], evaluate(e.weight, scope));
+  });
+  const rhs = ids.map(id => [math.complex(id === source ? 1 : 0)]);
+  const x = math.lusolve(m, rhs);
+  let values = {};
+  ids.forEach((id, i) => {
+    values[id] = math.complex(x[i][0]);
+  });
+  return values;
+}
+
+/**
+ * Assert that a number or Complex is within tolerance (relative, absolute near zero) of expected
+ */
+function assertClose(actual, expected, tolerance = 1e-9, message) {
+  const math = require('mathjs');
+  const error = math.abs(math.subtract(actual, expected));
+  const scale = Math.max(1, math.abs(expected));
+  assert.ok(error <= tolerance * scale,
+    message || `expected ${expected.toString()}, got ${actual.toString()} (error ${error})`);
+}
+
+module.exports = {
+  HAS_ALGEBRA, needsAlgebra, graphOf, evaluate, gainOf, solveNodes, assertClose
+};
@@ -0,0 +1,78 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {needsAlgebra, graphOf, evaluate, gainOf, solveNodes, assertClose} = require('./helpers.js');
+
+describe('computeMasons', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+  const errors = require('../errors.js');
+
+  // Two forward paths, two touching loops
+  const twoLoops = graphOf([
+    ['x', 'a', 'G1'], ['a', 'b', 'G2'], ['b', 'y', 'G3'], ['b', 'a', '-H1'], ['y', 'b', '-H2'], ['x', 'b', 'G4']
+  ]);
+  // Two non-touching loops, one of them a self-loop, and a frequency dependent weight
+  const nonTouching = graphOf([
+    ['x', 'a', '1'], ['a', 'b', 'K / (1 + j*w*T)'], ['b', 'a', '-F'], ['b', 'c', '2'], ['c', 'c', 'L'], ['c', 'y', '1']
+  ]);
+  const scope = {G1: 2, G2: 3, G3: 0.5, G4: -1, H1: 0.25, H2: 4, K: 10, T: 1e-3, F: 0.1, L: 0.3};
+
+  [['two touching loops', twoLoops], ['non-touching loops', nonTouching]].forEach(([name, graph]) => {
+    it(`agrees with the direct solve of the linear system (${name})`, () => {
+      const tf = sfg.computeMasons(graph, 'x', 'y');
+      [0, 10, 1e3, 1e5].forEach((w) => {
+        const direct = solveNodes(graph, 'x', Object.assign({w}, scope));
+        assertClose(gainOf(tf, Object.assign({w}, scope)), direct.y, 1e-9);
+      });
+      assert.strictEqual(tf.method, 'mason');
+      assert.strictEqual(tf.source, 'x');
+    });
+  });
+
+  it('returns bode equations of the transfer function', () => {
+    const tf = sfg.computeMasons(twoLoops, 'x', 'y');
+    const h = gainOf(tf, scope);
+    assertClose(evaluate(tf.bode.magnitude, scope), 20 * Math.log10(Math.hypot(h.re, h.im)));
+    assertClose(evaluate(tf.bode.phase, scope), Math.atan2(h.im, h.re));
+  });
+
+  it('throws typed errors for unknown nodes and missing paths', () => {
+    assert.throws(() => sfg.computeMasons(twoLoops, 'x', 'nope'), errors.UnknownNodeError);
+    assert.throws(() => sfg.computeMasons(graphOf([['x', 'a', 'G'], ['y', 'a', 'H']]), 'x', 'y'), errors.NoForwardPathError);
+  });
+
+  describe('explain', () => {
+    const tf = sfg.computeMasons(twoLoops, 'x', 'y', {explain: true});
+    const derivation = tf.derivation;
+
+    it('lists the forward paths with their gains and cofactors', () => {
+      assert.deepStrictEqual(derivation.forwardPaths.map(p => p.edges), [['xa', 'ab', 'by'], ['xb', 'by']]);
+      assert.deepStrictEqual(derivation.forwardPaths.map(p => p.nodes), [['x', 'a', 'b', 'y'], ['x', 'b', 'y']]);
+      assertClose(evaluate(derivation.forwardPaths[0].gain, scope), 3);
+      assertClose(evaluate(derivation.forwardPaths[1].gain, scope), -0.5);
+      derivation.forwardPaths.forEach(p => assertClose(evaluate(p.delta, scope), 1));
+    });
+
+    it('lists the loops and non-touching groups', () => {
+      assert.deepStrictEqual(derivation.loops.map(l => l.id), ['ab|ba', 'by|yb']);
+      assertClose(evaluate(derivation.loops[0].gain, scope), -0.75);
+      assertClose(evaluate(derivation.loops[1].gain, scope), -2);
+      assert.deepStrictEqual(derivation.nonTouching, []);
+    });
+
+    it('has a numerator and delta that give the transfer function', () => {
+      assertClose(evaluate(derivation.delta, scope), 1 + 0.75 + 2);
+      assertClose(evaluate(derivation.numerator, scope), 2.5);
+      assertClose(gainOf({n: derivation.numerator, d: derivation.denominator}, scope), gainOf(tf, scope));
+    });
+
+    it('groups non-touching loops by order', () => {
+      const groups = sfg.computeMasons(nonTouching, 'x', 'y', {explain: true}).derivation.nonTouching;
+      assert.deepStrictEqual(groups.map(g => g.order), [2]);
+      assert.deepStrictEqual(groups[0].groups.map(g => g.loops), [['ab|ba', 'cc']]);
+    });
+
+    it('is only returned on request', () => {
+      assert.strictEqual(sfg.computeMasons(twoLoops, 'x', 'y').derivation, undefined);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const math = require('mathjs');
+const {needsAlgebra, graphOf, gainOf, solveNodes, assertClose} = require('./helpers.js');
+
+describe('gain between arbitrary nodes', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+  const mason = require('../mason.js');
+
+  // x -> a -> b -> y with feedback b -> a, y -> b and a self-loop on b
+  const graph = graphOf([
+    ['x', 'a', 'G1'], ['a', 'b', 'G2'], ['b', 'y', 'G3'], ['b', 'a', '-H1'], ['y', 'b', '-H2'], ['b', 'b', 'L']
+  ]);
+  const scope = {G1: 2, G2: 3, G3: 0.5, H1: 0.25, H2: 4, L: 0.1, w: 0};
+
+  it('uses the ratio of source gains for an internal start node', () => {
+    const direct = solveNodes(graph, 'x', scope);
+    const tf = sfg.computeMasons(graph, 'a', 'y');
+    assert.strictEqual(tf.method, 'source-ratio');
+    assert.strictEqual(tf.source, 'x');
+    assertClose(gainOf(tf, scope), math.divide(direct.y, direct.a));
+    assertClose(gainOf(sfg.computeMasons(graph, 'b', 'a'), scope), math.divide(direct.a, direct.b));
+  });
+
+  it('says which method was used in the derivation', () => {
+    const derivation = sfg.computeMasons(graph, 'a', 'y', {explain: true}).derivation;
+    assert.strictEqual(derivation.method, 'source-ratio');
+    assert.deepStrictEqual(derivation.referencePaths.map(p => p.edges), [['xa']]);
+    assert.strictEqual(sfg.computeMasons(graph, 'x', 'y', {explain: true}).derivation.method, 'mason');
+  });
+
+  it('treats a node whose only incoming edge is a self-loop as a source', () => {
+    const looped = graphOf([['x', 'x', 'K'], ['x', 'y', 'G'], ['y', 'z', 'H'], ['z', 'y', '-F']]);
+    const values = {K: 0.5, G: 2, H: 3, F: 0.1};
+    assert.deepStrictEqual(mason.findSourceNodes(looped), ['x']);
+
+    const tf = sfg.computeMasons(looped, 'x', 'z');
+    assert.strictEqual(tf.method, 'mason');
+    assertClose(gainOf(tf, values), solveNodes(looped, 'x', values).z);
+    assertClose(gainOf(sfg.computeReduction(looped, 'x', 'z'), values), gainOf(tf, values));
+  });
+
+  it('uses the given source node', () => {
+    const twoSources = graphOf([['x', 'a', 'G1'], ['u', 'a', 'G2'], ['a', 'y', 'G3'], ['y', 'a', '-H']]);
+    const tf = sfg.computeMasons(twoSources, 'a', 'y', {source: 'u'});
+    assert.strictEqual(tf.source, 'u');
+    const values = {G1: 1, G2: 2, G3: 3, H: 0.5};
+    const direct = solveNodes(twoSources, 'u', values);
+    assertClose(gainOf(tf, values), math.divide(direct.y, direct.a));
+  });
+});
@@ -0,0 +1,55 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const cycles = require('../cycles.js');
+const nontouching = require('../nontouching.js');
+const {graphOf} = require('./helpers.js');
+
+// Pairwise non-touching sets of two or more loops by brute force over all subsets
+function bruteForceCounts(loops) {
+  let counts = new Map();
+  for (let subset = 1; subset < (1 << loops.length); subset++) {
+    const chosen = loops.filter((l, i) => subset & (1 << i));
+    if (chosen.length < 2)
+      continue;
+    const nodes = chosen.map(cycles.loopNodes).flat();
+    if (new Set(nodes).size === nodes.length)
+      counts.set(chosen.length, (counts.get(chosen.length) || 0) + 1);
+  }
+  return new Map([...counts.entries()].sort((a, b) => a[0] - b[0]));
+}
+
+describe('non-touching loops', () => {
+  const selfLoops = graphOf(['a', 'b', 'c', 'd', 'e'].map(id => [id, id, `L${id}`]));
+
+  it('counts the k-sets of disjoint loops', () => {
+    const loops = cycles.elementaryCircuits(selfLoops);
+    assert.deepStrictEqual([...nontouching.countNonTouching(loops)], [[2, 10], [3, 10], [4, 5], [5, 1]]);
+  });
+
+  it('stops at maxOrder', () => {
+    const loops = cycles.elementaryCircuits(selfLoops);
+    assert.deepStrictEqual([...nontouching.countNonTouching(loops, {maxOrder: 3})], [[2, 10], [3, 10]]);
+  });
+
+  it('only combines loops that share no node', () => {
+    const graph = graphOf([
+      ['a', 'b', 'G1'], ['b', 'a', 'H1'], ['b', 'c', 'G2'], ['c', 'b', 'H2'],
+      ['c', 'd', 'G3'], ['d', 'c', 'H3'], ['d', 'e', 'G4'], ['e', 'd', 'H4'],
+      ['a', 'a', 'S1'], ['e', 'e', 'S2'], ['e', 'a', 'F']
+    ]);
+    const loops = cycles.elementaryCircuits(graph);
+    const sets = nontouching.findNonTouchingSets(loops);
+
+    assert.deepStrictEqual([...nontouching.countNonTouching(loops)], [...bruteForceCounts(loops)]);
+    sets.forEach((list, k) => list.forEach((set) => {
+      assert.strictEqual(set.length, k);
+      const nodes = set.map(cycles.loopNodes).flat();
+      assert.strictEqual(new Set(nodes).size, nodes.length);
+    }));
+  });
+
+  it('finds no sets when every loop touches every other', () => {
+    const loops = cycles.elementaryCircuits(graphOf([['a', 'b', 'G'], ['b', 'a', 'H'], ['a', 'a', 'S']]));
+    assert.strictEqual(nontouching.findNonTouchingSets(loops).size, 0);
+  });
+});
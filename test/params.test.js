@@ -0,0 +1,68 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {needsAlgebra, graphOf, evaluate, gainOf, assertClose} = require('./helpers.js');
+
+describe('parameter binding', needsAlgebra, () => {
+  const params = require('../params.js');
+  const sfg = require('../sfg.js');
+  const errors = require('../errors.js');
+
+  describe('substitute', () => {
+    it('replaces whole symbols only', () => {
+      assert.strictEqual(params.substitute('1/(R1) + R10*sqrt(R1)', {R1: 1000, sqrt: 2}), '1 / (1000) + R10 * sqrt(1000)');
+    });
+
+    it('keeps the precedence of negative and expression values', () => {
+      assertClose(evaluate(params.substitute('a^2 - b*c', {a: -3, c: 'x + 1'}), {b: 2, x: 4}), 9 - 10);
+    });
+
+    it('collapses to a number when every symbol is bound', () => {
+      assert.strictEqual(params.substitute('gm*R1/(1 + gm*R1)', {gm: 0.01, R1: 900}), '0.9');
+    });
+
+    it('never binds the frequency symbols', () => {
+      assert.strictEqual(params.substitute('1/(1 + j*w*C)', {C: 2}), '1 / (1 + j * w * 2)');
+      assert.throws(() => params.substitute('w*C', {w: 2}), errors.SfgError);
+    });
+  });
+
+  describe('freeSymbols', () => {
+    it('lists the symbols of graphs, transfer functions and expression lists', () => {
+      const graph = graphOf([['x', 'a', 'gm*R1'], ['a', 'a', 'pi*w*C'], ['a', 'y', 'exp(-s*T)']]);
+      assert.deepStrictEqual(params.freeSymbols(graph), ['C', 'R1', 'T', 'gm']);
+      assert.deepStrictEqual(params.freeSymbols(graph.toArray()), ['C', 'R1', 'T', 'gm']);
+      assert.deepStrictEqual(params.freeSymbols({n: 'A', d: '1 + A*B'}), ['A', 'B']);
+      assert.deepStrictEqual(params.freeSymbols(['K', 'j*w']), ['K']);
+    });
+
+    it('finds names that are not taken', () => {
+      assert.deepStrictEqual(params.freshSymbols(['g_1 + g_3'], 3), ['g_2', 'g_4', 'g_5']);
+    });
+  });
+
+  describe('bindParameters', () => {
+    const graph = graphOf([['x', 'a', '1/R1'], ['a', 'y', 'gm*R2'], ['y', 'a', '-1/R2']], {x: 'Vs'});
+
+    it('returns a new graph with the values substituted', () => {
+      const bound = params.bindParameters(graph, {R1: 1000, Vs: 2});
+      assert.strictEqual(bound.getEdge('xa').weight, '0.001');
+      assert.strictEqual(bound.getEdge('ay').weight, 'gm * R2');
+      assert.strictEqual(bound.getNode('x').value, '2');
+      assert.deepStrictEqual(params.freeSymbols(bound), ['R2', 'gm']);
+      assert.strictEqual(graph.getEdge('xa').weight, '1/R1');
+    });
+
+    it('binds a transfer function and reports what is left free', () => {
+      const tf = sfg.computeMasons(graph, 'x', 'y');
+      const partial = sfg.bindParameters(tf, {R1: 1000, R2: 10});
+      assert.deepStrictEqual(partial.free, ['gm']);
+      assert.strictEqual(partial.value, undefined);
+
+      const full = sfg.bindParameters(tf, {R1: 1000, R2: 10, gm: 0.5});
+      assert.deepStrictEqual(full.free, []);
+      // (1/R1) gm R2 / (1 + gm)
+      assertClose(full.value, 0.005 / 1.5);
+      assertClose(gainOf(full), full.value);
+    });
+  });
+});
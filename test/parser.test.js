@@ -0,0 +1,107 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const parser = require('../parser.js');
+const errors = require('../errors.js');
+
+// {edgeId: [startNode, endNode, weight]} of a graph
+function edgesOf(graph) {
+  let edges = {};
+  graph.edges.forEach((e) => {
+    edges[e.id] = [e.startNode, e.endNode, e.weight];
+  });
+  return edges;
+}
+
+describe('parseEquations', () => {
+  it('classifies identifiers as whole tokens', () => {
+    const {symbols} = parser.parseEquations(['V_n10 = 2*V_n1 + Vsw*w', 'V_n1 = Vsw/R1', 'Vsw = jw*C*Vout']);
+    assert.deepStrictEqual(symbols, {
+      V_n10: 'node', V_n1: 'node', Vsw: 'node', w: 'frequency', R1: 'parameter', jw: 'frequency', C: 'parameter',
+      Vout: 'parameter'
+    });
+  });
+
+  it('decides nodes from the left hand sides and options.nodes, not from the name', () => {
+    const equations = ['Vout = A*(Vin - Vbias)', 'Ibias = Vout/R'];
+    assert.deepStrictEqual(parser.parseEquations(equations).symbols,
+      {Vout: 'node', A: 'parameter', Vin: 'parameter', Vbias: 'parameter', Ibias: 'node', R: 'parameter'});
+    const {symbols} = parser.parseEquations(equations, {nodes: ['Vin', 'Vbias'], parameters: ['Vbias']});
+    assert.strictEqual(symbols.Vin, 'node');
+    assert.strictEqual(symbols.Vbias, 'parameter');
+    assert.strictEqual(symbols.R, 'parameter');
+  });
+
+  it('treats DPI left hand sides as aliases', () => {
+    const {equations, symbols} = parser.parseEquations(['DPI_n2 = 545.45', 'V2 = DPI_n2*V1', 'V1 = 1']);
+    assert.strictEqual(symbols.DPI_n2, 'alias');
+    assert.deepStrictEqual(equations.map(eq => [eq.index, eq.lhs, eq.alias]), [[0, 'DPI_n2', true], [1, 'V2', false], [2, 'V1', false]]);
+  });
+});
+
+describe('equationsToGraph', () => {
+  it('gives one edge per node term, weighted by its coefficient', () => {
+    const graph = parser.equationsToGraph(['V_n10 = 2*V_n1 + V_n1/R1', 'V_n1 = 3', 'Vsw = jw*C*V_n10']);
+    assert.deepStrictEqual(graph.nodeIds(), ['V_n10', 'V_n1', 'Vsw']);
+    assert.deepStrictEqual(edgesOf(graph), {
+      V_n1V_n10: ['V_n1', 'V_n10', '2'],
+      V_n1V_n10_1: ['V_n1', 'V_n10', '1 / R1'],
+      V_n10Vsw: ['V_n10', 'Vsw', '(j * w) * C']
+    });
+    assert.strictEqual(graph.getNode('V_n1').value, '3');
+  });
+
+  it('adds the input nodes passed in options.nodes', () => {
+    const graph = parser.equationsToGraph(['Vout = A*(Vin - Vout)'], {nodes: ['Vin']});
+    assert.deepStrictEqual(edgesOf(graph), {VinVout: ['Vin', 'Vout', 'A'], VoutVout: ['Vout', 'Vout', '-A']});
+    // Listed as a parameter, A*Vin is a constant source
+    const constant = parser.equationsToGraph(['Vout = A*(Vin - Vout)'], {parameters: ['Vin']});
+    assert.deepStrictEqual(constant.nodeIds(), ['Vout', 'y20']);
+    assert.strictEqual(constant.getNode('y20').value, 'A * Vin');
+  });
+
+  it('rejects a constant with an undefined identifier named like a node', () => {
+    const equations = ['V_n1 = 8', 'V_n2 = DPI_n2 * ISC_n2', 'DPI_n2 = 9', 'ISC_n2 = V_n1/R1 + V_n3/R3'];
+    assert.throws(() => parser.equationsToGraph(equations), (e) => {
+      assert.ok(e instanceof errors.EquationParseError);
+      assert.strictEqual(e.index, 3);
+      assert.ok(e.message.includes('V_n3 looks like a node variable'), e.message);
+      return true;
+    });
+    const graph = parser.equationsToGraph(equations, {nodes: ['V_n3']});
+    assert.deepStrictEqual(graph.nodeIds(), ['V_n1', 'V_n2', 'ISC_n2', 'V_n3']);
+    assert.deepStrictEqual(edgesOf(graph), {
+      ISC_n2V_n2: ['ISC_n2', 'V_n2', '9'],
+      V_n1ISC_n2: ['V_n1', 'ISC_n2', '1 / R1'],
+      V_n3ISC_n2: ['V_n3', 'ISC_n2', '1 / R3']
+    });
+  });
+
+  it('substitutes aliases into the weights', () => {
+    const graph = parser.equationsToGraph(['DPI_n2 = 2*DPI_n3', 'DPI_n3 = gm', 'V2 = DPI_n2*V1', 'V1 = 1']);
+    assert.deepStrictEqual(edgesOf(graph), {V1V2: ['V1', 'V2', '2 * (gm)']});
+  });
+
+  it('turns constants into source nodes, split into imaginary and real parts', () => {
+    const graph = parser.equationsToGraph(['V1 = 0.5*V2 + 2 + j*w*C', 'V2 = V1 + 1']);
+    assert.strictEqual(graph.getNode('y10').value, 'j * w * C');
+    assert.strictEqual(graph.getNode('y20').value, '2');
+    assert.strictEqual(graph.getNode('y21').value, '1');
+    assert.deepStrictEqual(graph.outgoingEdges('y21').map(e => [e.endNode, e.weight]), [['V2', '1']]);
+  });
+
+  it('simplifies constants and drops redundant parentheses', () => {
+    const graph = parser.equationsToGraph(['V_n1 = 3 - 2', 'V_n2 = V_n1 + 1/(R2)']);
+    assert.strictEqual(graph.getNode('V_n1').value, '1');
+    assert.strictEqual(graph.getNode('y21').value, '1 / R2');
+  });
+
+  it('rejects equations that are not linear in the nodes', () => {
+    assert.throws(() => parser.equationsToGraph(['V1 = 1', 'V2 = V1*V1']), (e) => {
+      assert.ok(e instanceof errors.EquationParseError);
+      assert.strictEqual(e.index, 1);
+      return true;
+    });
+    assert.throws(() => parser.equationsToGraph(['DPI_a = V1', 'V1 = 1']), errors.EquationParseError);
+    assert.throws(() => parser.equationsToGraph(['DPI_a = DPI_b', 'DPI_b = DPI_a', 'V1 = DPI_a']), /in terms of itself/);
+  });
+});
@@ -0,0 +1,95 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {needsAlgebra, graphOf, assertClose} = require('./helpers.js');
+
+describe('polesZeros', needsAlgebra, () => {
+  const poles = require('../poles.js');
+
+  it('reports natural frequency and damping of complex poles', () => {
+    // (s + 2) / (s^2 + s + 1): wn = 1, zeta = 0.5
+    const pz = poles.polesZeros({num: [1, 2], den: [1, 1, 1]});
+    assert.strictEqual(pz.poles.length, 2);
+    pz.poles.forEach((p) => {
+      assertClose(p.re, -0.5);
+      assertClose(Math.abs(p.im), Math.sqrt(3) / 2);
+      assertClose(p.naturalFrequency, 1);
+      assertClose(p.damping, 0.5);
+      assert.strictEqual(p.multiplicity, 1);
+    });
+    assert.strictEqual(pz.zeros.length, 1);
+    assertClose(pz.zeros[0].re, -2);
+    assertClose(pz.gain, 1);
+    assert.strictEqual(pz.stable, true);
+  });
+
+  it('merges repeated roots into one with a multiplicity', () => {
+    // 3 / (s (s + 1)^2)
+    const pz = poles.polesZeros({num: [3], den: [1, 2, 1, 0]});
+    assert.deepStrictEqual(pz.poles.map(p => p.multiplicity), [1, 2]);
+    assertClose(pz.poles[0].re, 0);
+    assert.strictEqual(pz.poles[0].damping, null);
+    assertClose(pz.poles[1].re, -1, 1e-9);
+    assertClose(pz.poles[1].damping, 1);
+    assertClose(pz.gain, 3);
+    assert.strictEqual(pz.stable, false);
+  });
+
+  it('reduces a transfer function {n, d} with the given params', () => {
+    const pz = poles.polesZeros({n: 'A', d: '1 + s*T'}, {params: {A: 10, T: 0.5}});
+    assert.strictEqual(pz.poles.length, 1);
+    assertClose(pz.poles[0].re, -2);
+    assertClose(pz.gain, 20);
+    assert.deepStrictEqual(pz.zeros, []);
+  });
+});
+
+describe('rootLocus', needsAlgebra, () => {
+  const poles = require('../poles.js');
+  const errors = require('../errors.js');
+
+  // Unity feedback around Kc / (s (s + 2)): closed-loop poles are the roots of s^2 + 2 s + Kc
+  const loop = graphOf([['x', 'e', '1'], ['e', 'a', 'Kc'], ['a', 'y', '1/(s*(s+2))'], ['y', 'e', '-1']]);
+
+  function assertLocus(locus) {
+    assert.deepStrictEqual(locus.values, [0.75, 1, 2]);
+    assert.deepStrictEqual(locus.poles.map(list => list.length), [2, 2, 2]);
+    const sorted = locus.poles[0].map(p => p.re).sort((a, b) => a - b);
+    assertClose(sorted[0], -1.5);
+    assertClose(sorted[1], -0.5);
+    locus.poles[1].forEach(p => assertClose(p.re, -1, 1e-6));
+    locus.poles[2].forEach((p) => {
+      assertClose(p.re, -1);
+      assertClose(Math.abs(p.im), 1);
+    });
+    assert.strictEqual(locus.branches.length, 2);
+    locus.branches.forEach(branch => assert.strictEqual(branch.length, 3));
+  }
+
+  it('sweeps a symbol of the edge weights', () => {
+    const locus = poles.rootLocus(loop, 'Kc', [0.75, 1, 2]);
+    assert.strictEqual(locus.kind, 'symbol');
+    assertLocus(locus);
+  });
+
+  it('sweeps the weight of an edge', () => {
+    const locus = poles.rootLocus(loop, 'ea', [0.75, 1, 2]);
+    assert.strictEqual(locus.kind, 'edge');
+    assert.strictEqual(locus.parameter, 'ea');
+    assertLocus(locus);
+  });
+
+  it('spreads a range over the given number of steps', () => {
+    const locus = poles.rootLocus(loop, 'Kc', {from: 1, to: 2, steps: 3});
+    assert.strictEqual(locus.values.length, 3);
+    locus.values.forEach((value, i) => assertClose(value, [1, 1.5, 2][i]));
+  });
+
+  it('tracks the poles of a transfer function between two nodes', () => {
+    const locus = poles.rootLocus(loop, 'Kc', [2], {start: 'x', end: 'y'});
+    locus.poles[0].forEach(p => assertClose(p.re, -1));
+  });
+
+  it('rejects a parameter that is neither an edge nor a symbol', () => {
+    assert.throws(() => poles.rootLocus(loop, 'nope', [1]), errors.SfgError);
+  });
+});
@@ -0,0 +1,57 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const math = require('mathjs');
+const poly = require('../polynomial.js');
+const {assertClose} = require('./helpers.js');
+
+const P = coefficients => poly.fromCoefficients(coefficients);
+
+describe('polynomials', () => {
+  it('convert between descending coefficients and the ascending form', () => {
+    const p = P([0, 2, 3]);
+    assert.strictEqual(poly.degree(p), 1);
+    assert.deepStrictEqual(poly.toCoefficients(p), [2, 3]);
+    assert.deepStrictEqual(poly.toCoefficients(P([math.complex(1, 2), 0])), [math.complex(1, 2), math.complex(0)]);
+    assert.strictEqual(poly.degree(P([0])), -Infinity);
+    assert.ok(poly.isZero(P([])));
+  });
+
+  it('multiply, add and raise to powers', () => {
+    assert.deepStrictEqual(poly.toCoefficients(poly.multiply(P([1, 1]), P([1, -1]))), [1, 0, -1]);
+    assert.deepStrictEqual(poly.toCoefficients(poly.power(P([1, 1]), 3)), [1, 3, 3, 1]);
+    assert.deepStrictEqual(poly.toCoefficients(poly.subtract(P([1, 2, 3]), P([1, 2, 3]))), []);
+    assert.deepStrictEqual(poly.toCoefficients(poly.derivative(P([1, 3, 3, 1]))), [3, 6, 3]);
+  });
+
+  it('divide with remainder', () => {
+    const {quotient, remainder} = poly.divide(P([1, 0, 0, -1]), P([1, -2]));
+    assert.deepStrictEqual(poly.toCoefficients(quotient), [1, 2, 4]);
+    assert.deepStrictEqual(poly.toCoefficients(remainder), [7]);
+  });
+
+  it('find the monic greatest common divisor', () => {
+    // 2 (s + 1)(s + 2) and 3 (s + 1)(s + 3)
+    const g = poly.gcd(P([2, 6, 4]), P([3, 12, 9]));
+    poly.toCoefficients(g).forEach((c, i) => assertClose(c, [1, 1][i]));
+    assert.deepStrictEqual(poly.toCoefficients(poly.gcd(P([1, 1]), P([1, 2]))), [1]);
+  });
+
+  it('find common factors up to rounding', () => {
+    const a = poly.multiply(P([1, 1 / 3]), P([1, 5]));
+    const b = poly.multiply(P([1, 0.1 + 0.2 - 0.3 + 1 / 3]), P([1, 7]));
+    const g = poly.toCoefficients(poly.gcd(a, b));
+    assert.strictEqual(g.length, 2);
+    assertClose(g[1], 1 / 3, 1e-9);
+  });
+
+  it('evaluate and find roots', () => {
+    assertClose(poly.evaluate(P([1, 0, 1]), math.complex(0, 1)), 0);
+    const roots = poly.roots(P([1, -6, 11, -6, 0])).map(r => r.re).sort((x, y) => x - y);
+    [0, 1, 2, 3].forEach((r, i) => assertClose(roots[i], r, 1e-9));
+  });
+
+  it('write mathjs expressions', () => {
+    assert.strictEqual(poly.toString(P([2, -1, 0, 1])), '2 * s^3 - s^2 + 1');
+    assert.strictEqual(poly.toString(P([]), 'x'), '0');
+  });
+});
@@ -0,0 +1,131 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const math = require('mathjs');
+const rational = require('../rational.js');
+const errors = require('../errors.js');
+const {needsAlgebra, graphOf, evaluate, assertClose} = require('./helpers.js');
+
+// Assert that two descending coefficient arrays are equal within tolerance
+function assertCoefficients(actual, expected) {
+  assert.strictEqual(actual.length, expected.length, `${actual} vs ${expected}`);
+  actual.forEach((c, i) => assertClose(c, expected[i]));
+}
+
+describe('fromExpression', () => {
+  it('clears nested fractions in s', () => {
+    // 1 / (1 + 1/(s C R)) = s / (s + 1/(C R))
+    const r = rational.fromExpression('1/(1 + 1/(s*C*R))', {C: 1e-3, R: 500});
+    assertCoefficients(r.num, [1, 0]);
+    assertCoefficients(r.den, [1, 2]);
+  });
+
+  it('maps the jw form to s', () => {
+    const r = rational.fromExpression('A/(1 + j*w*T)', {A: 10, T: 0.5});
+    assertCoefficients(r.num, [20]);
+    assertCoefficients(r.den, [1, 2]);
+  });
+
+  it('expands integer powers', () => {
+    const r = rational.fromExpression('(s + 1)^3 / s^2');
+    assertCoefficients(r.num, [1, 3, 3, 1]);
+    assertCoefficients(r.den, [1, 0, 0]);
+  });
+
+  it('needs a numeric value for every symbol and says so', () => {
+    assert.throws(() => rational.fromExpression('1/(1 + s*R1*C1)', {C1: 1}), (e) => {
+      assert.ok(e instanceof errors.EvaluationError);
+      assert.strictEqual(e.symbol, 'R1');
+      assert.ok(e.message.includes('needs a numeric value for every symbol other than s, w and j'), e.message);
+      return true;
+    });
+  });
+
+  it('rejects expressions that are not rational in s', () => {
+    assert.throws(() => rational.fromExpression('exp(-s*T)', {T: 1}), errors.EvaluationError);
+    assert.throws(() => rational.fromExpression('s^0.5'), errors.EvaluationError);
+  });
+});
+
+describe('toRational', () => {
+  it('cancels common factors and makes the denominator monic', () => {
+    // 2 (s + 1) / ((s + 1)(s + 2)) * 3 / 3 = 2 / (s + 2)
+    const r = rational.toRational({n: '6*(s + 1)', d: '3*(s + 1)*(s + 2)'});
+    assertCoefficients(r.num, [2]);
+    assertCoefficients(r.den, [1, 2]);
+    assertCoefficients(r.cancelled, [1, 1]);
+    assert.strictEqual(r.order, 1);
+    assertClose(r.dcGain, 1);
+  });
+
+  it('cancels factors that are only common up to rounding', () => {
+    const r = rational.toRational({n: '(s + 1/3) * K', d: '(s + 0.1 + 0.2 - 0.3 + 1/3) * (s + 4)'}, {K: 4});
+    assertCoefficients(r.num, [4]);
+    assertCoefficients(r.den, [1, 4]);
+  });
+
+  it('drops leading coefficients that only cancel up to rounding', () => {
+    // (1 + 0.1 s) 3 - 0.3 s leaves a residue of about 1e-17 s
+    const r = rational.toRational({n: '1', d: '(1 + 0.1*s)*3 - 0.3*s'});
+    assertCoefficients(r.num, [1 / 3]);
+    assertCoefficients(r.den, [1]);
+    assert.strictEqual(r.order, 0);
+    assertClose(r.dcGain, 1 / 3);
+  });
+
+  it('clears the nested fractions of a Mason result', () => {
+    // (G / (1 + s)) / (1 + G H / (1 + s)) = G / (s + 1 + G H)
+    const r = rational.toRational({n: 'G / (1 + s)', d: '1 + G*H / (1 + s)'}, {G: 10, H: 0.1});
+    assertCoefficients(r.num, [10]);
+    assertCoefficients(r.den, [1, 2]);
+    assertClose(r.dcGain, 5);
+    assert.strictEqual(r.n, '10');
+    assert.strictEqual(r.d, 's + 2');
+  });
+
+  it('reports an infinite DC gain for a pole at zero', () => {
+    const r = rational.toRational({n: '1', d: 's*(s + 1)'});
+    assert.strictEqual(r.dcGain, Infinity);
+    assert.strictEqual(r.order, 2);
+  });
+
+  it('handles a zero numerator and rejects a zero denominator', () => {
+    assert.deepStrictEqual(rational.toRational({n: 's - s', d: 's + 1'}).num, []);
+    assert.throws(() => rational.toRational({n: '1', d: 's - s'}), errors.EvaluationError);
+  });
+});
+
+describe('evaluating a rational function', () => {
+  const r = rational.fromExpression('(s + 2) / (s^2 + 3*s + 2)');
+
+  it('gives H(jw) and H(s)', () => {
+    const expected = math.divide(math.complex(2, 1), math.add(math.complex(-1, 3), 2));
+    assertClose(rational.evaluate(r, 1), expected);
+    assertClose(rational.evaluateAt(r, -3), math.complex(-1 / 2));
+  });
+
+  it('writes the polynomials as expressions in s', () => {
+    const {n, d} = rational.toExpressions(r);
+    [0.1, 1, 10].forEach((w) => {
+      assertClose(math.divide(evaluate(n, {w}), evaluate(d, {w})), rational.evaluate(r, w));
+    });
+  });
+});
+
+describe('computeMasons with rational', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+
+  // Integrator 1/(s T) with unity feedback: 1 / (s T + 1)
+  const graph = graphOf([['x', 'e', '1'], ['e', 'y', '1/(s*T)'], ['y', 'e', '-1']]);
+
+  it('returns the transfer function as polynomials in s', () => {
+    const tf = sfg.computeMasons(graph, 'x', 'y', {rational: {params: {T: 0.25}}});
+    assertCoefficients(tf.rational.num, [4]);
+    assertCoefficients(tf.rational.den, [1, 4]);
+    assert.strictEqual(tf.rational.order, 1);
+    assertClose(tf.rational.dcGain, 1);
+  });
+
+  it('reports the symbol that has no value', () => {
+    assert.throws(() => sfg.computeMasons(graph, 'x', 'y', {rational: true}), /No value for T/);
+  });
+});
@@ -0,0 +1,83 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const math = require('mathjs');
+const random = require('../random.js');
+const {needsAlgebra, graphOf, gainOf, solveNodes, assertClose} = require('./helpers.js');
+
+describe('computeReduction', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+  const errors = require('../errors.js');
+
+  // Parallel edges x -> a, a self-loop on b and two touching feedback loops
+  const graph = graphOf([
+    ['x', 'a', 'G1'], ['x', 'a', 'G4'], ['a', 'b', 'G2'], ['b', 'y', 'G3'], ['b', 'a', '-H1'], ['y', 'b', '-H2'],
+    ['b', 'b', 'L']
+  ]);
+  const scope = {G1: 2, G2: 3, G3: 0.5, G4: -1, H1: 0.25, H2: 4, L: 0.3};
+
+  it('agrees with Mason\'s rule and the direct solve', () => {
+    const tf = sfg.computeReduction(graph, 'x', 'y');
+    assert.strictEqual(tf.method, 'reduction');
+    assert.strictEqual(tf.source, 'x');
+    assert.strictEqual(tf.steps, undefined);
+    assertClose(gainOf(tf, scope), gainOf(sfg.computeMasons(graph, 'x', 'y'), scope));
+    assertClose(gainOf(tf, scope), solveNodes(graph, 'x', scope).y);
+    assert.deepStrictEqual(Object.keys(tf.bode), ['phase', 'magnitude']);
+  });
+
+  it('solves a dense graph', () => {
+    const next = random.mulberry32(3);
+    const ids = ['x', 'a', 'b', 'c', 'd', 'e', 'y'];
+    let edges = [['x', 'a', '1']];
+    ids.slice(1).forEach(from => ids.slice(1).forEach((to) => {
+      edges.push([from, to, (next() - 0.5).toFixed(3)]);
+    }));
+    const dense = graphOf(edges);
+    assertClose(gainOf(sfg.computeReduction(dense, 'x', 'y')), solveNodes(dense, 'x').y, 1e-8);
+  });
+
+  it('logs every step', () => {
+    const steps = sfg.computeReduction(graph, 'x', 'y', {log: true}).steps;
+    const types = new Set(steps.map(s => s.type));
+    ['parallel', 'series', 'absorb', 'self-loop'].forEach(type => assert.ok(types.has(type), type));
+    steps.forEach((s) => {
+      assert.strictEqual(typeof s.text, 'string');
+      assert.strictEqual(s.target, 'y');
+    });
+    assert.strictEqual(steps[0].text, 'Combine parallel edges x -> a (adding xa_1)');
+  });
+
+  it('logs series combinations', () => {
+    const steps = sfg.computeReduction(graphOf([['x', 'a', 'G'], ['a', 'y', 'H']]), 'x', 'y', {log: true}).steps;
+    // IN_x is the virtual input connected to the start node
+    assert.deepStrictEqual(steps.map(s => s.text),
+      ['Combine the series edges IN_x -> x -> a', 'Combine the series edges IN_x -> a -> y']);
+  });
+
+  it('uses the ratio of source gains for an internal start node', () => {
+    const direct = solveNodes(graph, 'x', scope);
+    const tf = sfg.computeReduction(graph, 'a', 'y');
+    assert.strictEqual(tf.source, 'x');
+    assertClose(gainOf(tf, scope), math.divide(direct.y, direct.a));
+  });
+
+  it('returns a zero gain when the forward paths cancel, as computeMasons does', () => {
+    const cancelling = graphOf([
+      ['x0', 'x1', '0.86'], ['x1', 'x2', '-0.5'], ['x2', 'x3', '0.24'], ['x2', 'x4', '-0.33'], ['x2', 'x4', '0.33'],
+      ['x4', 'x2', '-0.18']
+    ]);
+    const tf = sfg.computeReduction(cancelling, 'x0', 'x4');
+    assert.strictEqual(tf.method, 'reduction');
+    assertClose(gainOf(tf), 0);
+    assertClose(gainOf(sfg.computeMasons(cancelling, 'x0', 'x4')), 0);
+
+    const zeroEdge = graphOf([['x', 'a', 'G'], ['a', 'y', '0']]);
+    assertClose(gainOf(sfg.computeReduction(zeroEdge, 'x', 'y'), {G: 2}), 0);
+    assertClose(gainOf(sfg.computeMasons(zeroEdge, 'x', 'y'), {G: 2}), 0);
+  });
+
+  it('throws when there is no forward path', () => {
+    assert.throws(() => sfg.computeReduction(graphOf([['x', 'a', 'G'], ['y', 'a', 'H']]), 'x', 'y'), errors.NoForwardPathError);
+    assert.throws(() => sfg.computeReduction(graph, 'x', 'nope'), errors.UnknownNodeError);
+  });
+});
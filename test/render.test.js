@@ -0,0 +1,97 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const render = require('../render.js');
+
+// Derivation of y/x for x -> a -> y with a self-loop on a and a second loop a -> b -> a
+const derivation = {
+  start: 'x',
+  end: 'y',
+  method: 'mason',
+  source: 'x',
+  forwardPaths: [{index: 1, nodes: ['x', 'a', 'y'], edges: ['xa', 'ay'], gain: 'G1*G2', delta: '1'}],
+  referencePaths: [],
+  loops: [
+    {id: 'aa', nodes: ['a'], edges: ['aa'], gain: 'L'},
+    {id: 'ab|ba', nodes: ['a', 'b'], edges: ['ab', 'ba'], gain: 'K*H'}
+  ],
+  nonTouching: [],
+  delta: '1 - L - K*H',
+  numerator: 'G1*G2',
+  denominator: '1 - L - K*H'
+};
+
+describe('expressionToLatex', () => {
+  it('writes products by juxtaposition and divisions as fractions', () => {
+    assert.strictEqual(render.expressionToLatex('G1*G2/(1 + G2*H1)'), '\\frac{G_{1} G_{2}}{1 + G_{2} H_{1}}');
+  });
+
+  it('keeps the parentheses that are needed', () => {
+    assert.strictEqual(render.expressionToLatex('-(a+b)*c'), '-\\left(a + b\\right) c');
+    assert.strictEqual(render.expressionToLatex('a - (b - c)'), 'a - \\left(b - c\\right)');
+  });
+
+  it('falls back to text for expressions it cannot parse', () => {
+    assert.strictEqual(render.expressionToLatex('a +* b_1'), '\\text{a +* b\\_1}');
+  });
+});
+
+describe('symbolToLatex', () => {
+  it('turns suffixes into subscripts', () => {
+    assert.strictEqual(render.symbolToLatex('V_n2'), 'V_{n2}');
+    assert.strictEqual(render.symbolToLatex('R1'), 'R_{1}');
+    assert.strictEqual(render.symbolToLatex('Vout'), '\\mathrm{Vout}');
+    assert.strictEqual(render.symbolToLatex('w'), '\\omega');
+  });
+});
+
+describe('derivationToLatex', () => {
+  it('lists paths, loops, the determinant and the transfer function', () => {
+    const tex = render.derivationToLatex({derivation});
+    assert.ok(tex.startsWith('\\begin{align*}\n'));
+    assert.ok(tex.endsWith('\\end{align*}\n'));
+    assert.ok(tex.includes('P_{1} &= G_{1} G_{2} && x \\to a \\to y'));
+    assert.ok(tex.includes('L_{1} &= L && a \\to a'));
+    assert.ok(tex.includes('L_{2} &= K H && a \\to b \\to a'));
+    assert.ok(tex.includes('\\Delta &= 1 - \\left(L_{1} + L_{2}\\right)'));
+    assert.ok(tex.includes('\\frac{y}{x} &= \\frac{P_{1} \\Delta_{1}}{\\Delta}'));
+    assert.ok(tex.includes('\\frac{y}{x} &= \\frac{G_{1} G_{2}}{1 - L - K H}'));
+  });
+
+  it('adds the non-touching groups to the determinant with alternating signs', () => {
+    const withGroups = Object.assign({}, derivation, {
+      nonTouching: [{order: 2, groups: [{loops: ['aa', 'ab|ba'], gain: 'L*K*H'}]}]
+    });
+    assert.ok(render.derivationToLatex(withGroups).includes('\\Delta &= 1 - \\left(L_{1} + L_{2}\\right) + \\left(L_{1} L_{2}\\right)'));
+  });
+
+  it('renders a plain transfer function without a derivation', () => {
+    assert.strictEqual(render.derivationToLatex({n: 'G', d: '1 + G*H'}, {start: 'x', end: 'y'}),
+      '\\begin{align*}\n\\frac{y}{x} &= \\frac{G}{1 + G H}\n\\end{align*}\n');
+  });
+
+  it('writes the denominator as the reference paths for a source-ratio gain', () => {
+    const ratio = Object.assign({}, derivation, {
+      start: 'a',
+      method: 'source-ratio',
+      referencePaths: [{index: 1, nodes: ['x', 'a'], edges: ['xa'], gain: 'G1', delta: '1'}]
+    });
+    const tex = render.derivationToLatex(ratio);
+    assert.ok(tex.includes('Q_{1} &= G_{1} && x \\to a'));
+    assert.ok(tex.includes('\\frac{y}{a} &= \\frac{P_{1} \\Delta_{1}}{Q_{1} \\Delta\'_{1}}'));
+  });
+});
+
+describe('derivationToMarkdown', () => {
+  it('uses inline math for every step', () => {
+    const md = render.derivationToMarkdown(derivation);
+    assert.ok(md.includes('**Forward paths**'));
+    assert.ok(md.includes('- $P_{1} = G_{1} G_{2}$ via $x \\to a \\to y$'));
+    assert.ok(md.includes('$\\Delta = 1 - \\left(L_{1} + L_{2}\\right)$'));
+    assert.ok(md.includes('$\\frac{y}{x} = \\frac{G_{1} G_{2}}{1 - L - K H}$'));
+  });
+
+  it('says "none" when there are no loops', () => {
+    const md = render.derivationToMarkdown(Object.assign({}, derivation, {loops: [], delta: '1', denominator: '1'}));
+    assert.ok(md.includes('**Loops**\n\n- none'));
+  });
+});
@@ -0,0 +1,60 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const math = require('mathjs');
+const {needsAlgebra, graphOf, evaluate, assertClose} = require('./helpers.js');
+
+describe('computeSensitivity', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+  const errors = require('../errors.js');
+
+  // H = A / (1 + A B) at DC; the amplifier has a pole at 1/T
+  const graph = graphOf([['x', 'e', '1'], ['e', 'y', 'A / (1 + s*T)'], ['y', 'e', '-B']]);
+  const params = {A: 10, B: 1, T: 1e-3};
+
+  it('gives S = 1 / (1 + A B) for the forward gain and -A B / (1 + A B) for the feedback', () => {
+    const SA = sfg.computeSensitivity(graph, 'x', 'y', 'A');
+    assert.strictEqual(SA.kind, 'symbol');
+    assert.strictEqual(SA.method, 'symbolic');
+    assertClose(SA.evaluate(0, params), 1 / 11);
+    assertClose(evaluate(SA.symbolic, params), 1 / 11);
+    assertClose(sfg.computeSensitivity(graph, 'x', 'y', 'B').evaluate(0, params), -10 / 11);
+  });
+
+  it('evaluates the sensitivity over frequency', () => {
+    const S = sfg.computeSensitivity(graph, 'x', 'y', 'A', {frequencies: [0, 1000], params});
+    // S_A = 1 / (1 + A B / (1 + j w T))
+    const expected = math.divide(1, math.add(1, math.divide(10, math.complex(1, 1))));
+    assertClose(S.values[1].S, expected);
+    assertClose(S.values[1].magnitude, math.abs(expected));
+    assertClose(S.values[1].phase, math.arg(expected) * 180 / Math.PI);
+  });
+
+  it('takes the derivative with respect to an edge weight as a whole', () => {
+    const S = sfg.computeSensitivity(graph, 'x', 'y', 'ye');
+    assert.strictEqual(S.kind, 'edge');
+    assertClose(S.evaluate(0, params), -10 / 11);
+    assert.ok(!/g_1/.test(S.symbolic), S.symbolic);
+  });
+
+  it('falls back to a numeric derivative', () => {
+    // mathjs cannot differentiate max; H = 2 A / (1 + 0.2 A) for A > 0.5
+    const clipped = graphOf([['x', 'e', '1'], ['e', 'y', '2 * max(A, 0.5)'], ['y', 'e', '-0.1']]);
+    const S = sfg.computeSensitivity(clipped, 'x', 'y', 'A');
+    assert.strictEqual(S.method, 'numeric');
+    assert.strictEqual(S.symbolic, null);
+    assertClose(S.evaluate(0, {A: 10}), 1 / 3, 1e-6);
+  });
+
+  it('rejects unknown targets', () => {
+    assert.throws(() => sfg.computeSensitivity(graph, 'x', 'y', 'R9'), errors.SfgError);
+  });
+
+  it('ranks the edges by their effect on the gain', () => {
+    const ranking = sfg.rankEdgeSensitivities(graph, 'x', 'y', {params});
+    assert.deepStrictEqual(ranking.map(r => r.edge), ['xe', 'ye', 'ey']);
+    assertClose(ranking[0].S, 1);
+    assertClose(ranking[1].S, -10 / 11);
+    assertClose(ranking[2].S, 1 / 11);
+    assert.strictEqual(ranking[2].weight, 'A / (1 + s*T)');
+  });
+});
@@ -0,0 +1,65 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const serialize = require('../serialize.js');
+const errors = require('../errors.js');
+const datamodel = require('../datamodel.js');
+const {graphOf} = require('./helpers.js');
+
+describe('JSON serialization', () => {
+  const graph = graphOf([['x', 'a', 'G1'], ['x', 'a', 'G2'], ['a', 'y', '1/R1'], ['y', 'a', '-H'], ['a', 'a', 'L']], {x: 'Vin'});
+
+  it('round trips nodes, values, weights and parallel edge ids', () => {
+    const doc = serialize.toJSON(graph);
+    assert.strictEqual(doc.format, 'sfg');
+    assert.strictEqual(doc.version, 1);
+    assert.deepStrictEqual(doc.nodes, [{id: 'x', value: 'Vin'}, {id: 'a', value: null}, {id: 'y', value: null}]);
+
+    const copy = serialize.fromJSON(JSON.stringify(doc));
+    assert.deepStrictEqual(copy.nodeIds(), graph.nodeIds());
+    assert.deepStrictEqual([...copy.edges.keys()], [...graph.edges.keys()]);
+    assert.deepStrictEqual(copy.getEdge('xa_1').weight, 'G2');
+    assert.ok(copy.getEdge('xa_1') instanceof datamodel.Edge);
+    assert.deepStrictEqual(serialize.toJSON(copy), doc);
+  });
+
+  it('accepts the legacy list of nodes', () => {
+    const byId = (a, b) => a.id.localeCompare(b.id);
+    const fromList = serialize.toJSON(graph.toArray()), fromGraph = serialize.toJSON(graph);
+    assert.deepStrictEqual(fromList.nodes, fromGraph.nodes);
+    assert.deepStrictEqual(fromList.edges.sort(byId), fromGraph.edges.sort(byId));
+  });
+
+  it('refuses to write a graph its own reader would reject', () => {
+    let dangling = graphOf([['x', 'a', 'G']]);
+    dangling.addEdge('H', 'a', 'nowhere');
+    assert.throws(() => serialize.toJSON(dangling), (e) => {
+      assert.ok(e instanceof errors.InconsistentGraphError);
+      assert.deepStrictEqual(e.errors, ['edges[1]: endNode nowhere of edge anowhere is not a node']);
+      return true;
+    });
+  });
+
+  it('lists every problem of an invalid document', () => {
+    const doc = {
+      format: 'sfg',
+      version: 1,
+      nodes: [{id: 'a', value: null}, {id: 'a', value: {}}],
+      edges: [{id: 'ab', startNode: 'a', endNode: 'b', weight: 2}, {id: 'ab', startNode: 'a', endNode: 'a', weight: 'G'}]
+    };
+    assert.deepStrictEqual(serialize.validate(doc).errors, [
+      'nodes[1]: duplicate node id a',
+      'nodes[1]: value of node a must be a string, a number or null',
+      'edges[0]: weight of edge ab must be a string',
+      'edges[0]: endNode b of edge ab is not a node',
+      'edges[1]: duplicate edge id ab'
+    ]);
+    assert.throws(() => serialize.fromJSON(doc), errors.InconsistentGraphError);
+  });
+
+  it('checks the format, version and JSON syntax', () => {
+    assert.deepStrictEqual(serialize.validate({format: 'dot', version: 2, nodes: [], edges: []}).errors,
+      ['format must be "sfg"', 'Unsupported version 2 (expected 1)']);
+    assert.strictEqual(serialize.validate('{nodes').valid, false);
+    assert.ok(serialize.validate('{nodes').errors[0].startsWith('Invalid JSON'));
+  });
+});
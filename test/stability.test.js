@@ -0,0 +1,75 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const stability = require('../stability.js');
+const {needsAlgebra, graphOf, assertClose} = require('./helpers.js');
+
+describe('stabilityMargins', () => {
+  // T = K / (1 + s)^3: phase crossover at w = sqrt(3) where |T| = K / 8
+  const thirdOrder = K => ({n: String(K), d: '(1 + s)^3'});
+
+  it('finds the crossovers and margins of a stable loop', () => {
+    const m = stability.stabilityMargins(thirdOrder(2));
+    const wc = Math.sqrt(Math.pow(2, 2 / 3) - 1);
+    const pm = 180 - 3 * Math.atan(wc) * 180 / Math.PI;
+
+    assertClose(m.gainMargin, 20 * Math.log10(4), 1e-6);
+    assertClose(m.gainMarginFrequency, Math.sqrt(3), 1e-6);
+    assertClose(m.phaseMargin, pm, 1e-6);
+    assertClose(m.phaseMarginFrequency, wc, 1e-6);
+    assertClose(m.delayMargin, pm * Math.PI / 180 / wc, 1e-6);
+    assert.strictEqual(m.unstable, false);
+    assert.strictEqual(m.multipleCrossovers, false);
+    assert.deepStrictEqual(m.warnings, []);
+  });
+
+  it('flags an unstable closed loop', () => {
+    const m = stability.stabilityMargins(thirdOrder(10));
+    assertClose(m.gainMargin, -20 * Math.log10(10 / 8), 1e-6);
+    assert.ok(m.phaseMargin < 0);
+    assert.strictEqual(m.unstable, true);
+    assert.ok(m.warnings.includes('Closed loop is unstable'));
+  });
+
+  it('reports the worst of several crossovers', () => {
+    // |T| is 0.5 away from the resonance at w = 1 and 10 on it
+    const m = stability.stabilityMargins({n: '0.5 * (s^2 + s + 1)', d: 's^2 + 0.05*s + 1'}, {wStart: 1e-2, wStop: 1e2});
+    assert.strictEqual(m.gainCrossovers.length, 2);
+    assert.strictEqual(m.multipleCrossovers, true);
+    // phase margins wrapped to (-180, 180]
+    const margins = m.gainCrossovers.map(c => 180 + c.phase - 360 * Math.round((180 + c.phase) / 360));
+    assertClose(m.phaseMargin, Math.min(...margins));
+    assert.strictEqual(m.phaseMarginFrequency, m.gainCrossovers[margins.indexOf(Math.min(...margins))].w);
+    assert.ok(m.warnings[0].startsWith('2 gain crossovers'));
+  });
+
+  it('accepts computeLoopGain results and params', () => {
+    const m = stability.stabilityMargins({t: 'K / (1 + s)^3'}, {params: {K: 2}});
+    assertClose(m.gainMargin, 20 * Math.log10(4), 1e-6);
+  });
+
+  it('has infinite margins without crossovers and warns about a loop without gain crossover', () => {
+    const small = stability.stabilityMargins({n: '0.5', d: '1 + s'});
+    assert.strictEqual(small.gainMargin, Infinity);
+    assert.strictEqual(small.phaseMargin, Infinity);
+
+    const large = stability.stabilityMargins({n: '10', d: '1'});
+    assert.strictEqual(large.phaseMargin, null);
+    assert.strictEqual(large.delayMargin, null);
+    assert.ok(large.warnings[0].startsWith('|T| > 1 over the whole sweep'));
+
+    assert.deepStrictEqual(stability.stabilityMargins({t: '0'}).warnings, ['Loop gain is zero - the graph has no loops']);
+  });
+});
+
+describe('computeStabilityMargins', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+
+  it('works on the loop gain of a graph', () => {
+    // Unity feedback around three first order stages: delta = 1 + K / (1 + s)^3
+    const graph = graphOf([['x', 'e', '1'], ['e', 'a', 'K / (1 + s)'], ['a', 'b', '1 / (1 + s)'], ['b', 'y', '1 / (1 + s)'],
+      ['y', 'e', '-1']]);
+    const m = sfg.computeStabilityMargins(graph, {params: {K: 2}});
+    assertClose(m.gainMargin, 20 * Math.log10(4), 1e-6);
+    assertClose(m.gainMarginFrequency, Math.sqrt(3), 1e-6);
+  });
+});
@@ -0,0 +1,102 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {needsAlgebra, graphOf, assertClose} = require('./helpers.js');
+
+describe('toStateSpace', needsAlgebra, () => {
+  const timeresponse = require('../timeresponse.js');
+  const errors = require('../errors.js');
+
+  it('builds the companion form of a monic denominator', () => {
+    // (s + 3) / (s^2 + 3 s + 2)
+    const system = timeresponse.toStateSpace({num: [1, 3], den: [1, 3, 2]});
+    assert.deepStrictEqual(system.A, [[0, 1], [-2, -3]]);
+    assert.deepStrictEqual(system.B, [0, 1]);
+    assert.deepStrictEqual(system.C, [3, 1]);
+    assert.strictEqual(system.D, 0);
+    assert.strictEqual(system.order, 2);
+  });
+
+  it('scales a non-monic {num, den} first', () => {
+    const system = timeresponse.toStateSpace({num: [2], den: [2, 2]});
+    assert.deepStrictEqual(system.A, [[-1]]);
+    assert.deepStrictEqual(system.C, [1]);
+    assert.deepStrictEqual(system.rational, {num: [1], den: [1, 1]});
+  });
+
+  it('keeps the direct feedthrough of a biproper transfer function', () => {
+    // (2 s + 1) / (s + 1) = 2 - 1 / (s + 1)
+    const system = timeresponse.toStateSpace({num: [2, 1], den: [1, 1]});
+    assert.strictEqual(system.D, 2);
+    assert.deepStrictEqual(system.C, [-1]);
+  });
+
+  it('rejects improper transfer functions and graphs without start and end', () => {
+    assert.throws(() => timeresponse.toStateSpace({num: [1, 0, 0], den: [1, 1]}), errors.EvaluationError);
+    assert.throws(() => timeresponse.toStateSpace(graphOf([['x', 'y', 'G']])), errors.SfgError);
+  });
+});
+
+describe('time responses', needsAlgebra, () => {
+  const timeresponse = require('../timeresponse.js');
+  const errors = require('../errors.js');
+
+  it('gives the step response of a non-monic first-order system', () => {
+    const step = timeresponse.stepResponse({num: [2], den: [2, 2]}, {times: [0, 0.5, 1, 2]});
+    [0, 0.393, 0.632, 0.865].forEach((v, i) => assertClose(step.values[i], v, 1e-3));
+    assertClose(step.metrics.steadyState, 1);
+  });
+
+  it('measures rise time and overshoot', () => {
+    // First order: 10% to 90% takes ln 9 time constants
+    const first = timeresponse.stepResponse({num: [1], den: [1, 1]}, {tStop: 10, points: 2001});
+    assertClose(first.metrics.riseTime, Math.log(9), 1e-3);
+    assert.strictEqual(first.metrics.overshoot, 0);
+
+    // Second order with zeta = 0.5: overshoot exp(-pi zeta / sqrt(1 - zeta^2)) = 16.3%
+    const second = timeresponse.stepResponse({num: [1], den: [1, 1, 1]}, {tStop: 20, points: 2001});
+    assertClose(second.metrics.overshoot, 100 * Math.exp(-Math.PI / Math.sqrt(3)), 1e-2);
+    assertClose(second.metrics.peakTime, 2 * Math.PI / Math.sqrt(3), 1e-2);
+    assertClose(second.metrics.steadyState, 1);
+  });
+
+  it('gives the impulse response', () => {
+    const impulse = timeresponse.impulseResponse({num: [1], den: [1, 1]}, {times: [0, 1, 2]});
+    [1, Math.exp(-1), Math.exp(-2)].forEach((v, i) => assertClose(impulse.values[i], v, 1e-6));
+    assert.strictEqual(impulse.metrics.steadyState, 0);
+  });
+
+  it('follows sampled inputs and needs one sample per output time', () => {
+    const times = [0, 1, 2, 3];
+    const response = timeresponse.simulateResponse({num: [1], den: [1, 1]}, [0, 1, 2, 3], {times});
+    // Ramp input: y = t - 1 + exp(-t)
+    times.forEach((t, i) => assertClose(response.values[i], t - 1 + Math.exp(-t), 1e-6));
+    assert.throws(() => timeresponse.simulateResponse({num: [1], den: [1, 1]}, [0, 1], {times}), errors.SfgError);
+  });
+
+  it('reduces a transfer function {n, d} whose leading terms cancel', () => {
+    // (1 + 0.1 s) 3 - 0.3 s is the constant 3 up to rounding
+    const step = timeresponse.stepResponse({n: '1', d: '(1 + 0.1*s)*3 - 0.3*s'}, {times: [0, 1]});
+    assert.strictEqual(step.values.length, 2);
+    step.values.forEach(v => assertClose(v, 1 / 3));
+    assertClose(step.metrics.steadyState, 1 / 3);
+  });
+
+  it('rejects poles that span too wide a range', () => {
+    assert.throws(() => timeresponse.stepResponse({n: '1', d: '(s + 1e-7)*(s + 1e7)'}), (e) => {
+      assert.ok(e instanceof errors.EvaluationError);
+      assertClose(e.fastest, 1e7);
+      assertClose(e.slowest, 1e-7);
+      return true;
+    });
+    // Without trimming, the rounding residue leaves a pole near -5.4e16
+    assert.throws(() => timeresponse.stepResponse({n: '1', d: '(1 + 0.1*s)*3 - 0.3*s'}, {tolerance: 0}),
+      errors.EvaluationError);
+  });
+
+  it('simulates the transfer function between two nodes of a graph', () => {
+    const graph = graphOf([['x', 'y', 'A/(1 + s*T)']]);
+    const step = timeresponse.stepResponse(graph, {start: 'x', end: 'y', params: {A: 3, T: 0.5}, times: [0, 0.5]});
+    assertClose(step.values[1], 3 * (1 - Math.exp(-1)), 1e-6);
+    assertClose(step.metrics.steadyState, 3);
+  });
+});
@@ -0,0 +1,62 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const math = require('mathjs');
+const {needsAlgebra, graphOf, gainOf, evaluate, solveNodes, assertClose} = require('./helpers.js');
+
+describe('computeTransferMatrix', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+  const errors = require('../errors.js');
+
+  // Two sources driving a loop a <-> b
+  const graph = graphOf([['u1', 'a', 'G1'], ['u2', 'b', 'G2'], ['a', 'b', 'K'], ['b', 'a', '-H'], ['b', 'y', '1']],
+    {u1: '2', u2: 'B'});
+  const scope = {G1: 2, G2: -1, K: 5, H: 0.3, B: 4};
+
+  it('gives every input to output transfer function over the shared delta', () => {
+    const result = sfg.computeTransferMatrix(graph, ['u1', 'u2'], ['a', 'y']);
+    assert.deepStrictEqual([result.inputs, result.outputs], [['u1', 'u2'], ['a', 'y']]);
+
+    ['u1', 'u2'].forEach((input, j) => {
+      const direct = solveNodes(graph, input, scope);
+      ['a', 'y'].forEach((output, i) => {
+        assert.strictEqual(result.matrix[i][j].d, result.delta);
+        assertClose(gainOf(result.matrix[i][j], scope), direct[output]);
+      });
+    });
+  });
+
+  it('defaults to every source node and every other node', () => {
+    const result = sfg.computeTransferMatrix(graph);
+    assert.deepStrictEqual(result.inputs, ['u1', 'u2']);
+    assert.deepStrictEqual(result.outputs, ['a', 'b', 'y']);
+  });
+
+  it('has a zero entry when there is no forward path', () => {
+    const result = sfg.computeTransferMatrix(graphOf([['u', 'a', 'G'], ['v', 'b', 'H']]), ['u', 'v'], ['b']);
+    assertClose(gainOf(result.matrix[0][0], {G: 1, H: 1}), 0);
+    assertClose(gainOf(result.matrix[0][1], {G: 1, H: 1}), 1);
+  });
+
+  it('rejects unknown nodes', () => {
+    assert.throws(() => sfg.computeTransferMatrix(graph, ['nope'], ['y']), errors.UnknownNodeError);
+  });
+
+  describe('solveNodeValues', () => {
+    it('adds the responses to every source weighted by its value', () => {
+      const result = sfg.solveNodeValues(graph);
+      assert.deepStrictEqual(result.sources, ['u1', 'u2']);
+      const d1 = solveNodes(graph, 'u1', scope), d2 = solveNodes(graph, 'u2', scope);
+      ['a', 'b', 'y'].forEach((id) => {
+        assertClose(gainOf(result.values[id], scope), math.add(math.multiply(2, d1[id]), math.multiply(scope.B, d2[id])));
+      });
+    });
+
+    it('solves the constants of a set of equations', () => {
+      // V1 = 2 + V2/2, V2 = 3 V1 + 1  =>  V1 = -5, V2 = -14
+      const nodes = sfg.computeSFG(['V1 = 2 + 0.5*V2', 'V2 = 3*V1 + 1']);
+      const result = sfg.solveNodeValues(nodes, ['V1', 'V2']);
+      assertClose(evaluate(result.values.V1.n).re / evaluate(result.values.V1.d).re, -5);
+      assertClose(evaluate(result.values.V2.n).re / evaluate(result.values.V2.d).re, -14);
+    });
+  });
+});
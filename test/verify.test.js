@@ -0,0 +1,65 @@
+const {describe, it} = require('node:test');
+const assert = require('assert');
+const {needsAlgebra, graphOf} = require('./helpers.js');
+
+describe('verifyTransferFunction', needsAlgebra, () => {
+  const sfg = require('../sfg.js');
+  const verify = require('../verify.js');
+  const errors = require('../errors.js');
+
+  const graph = graphOf([['x', 'a', 'G'], ['a', 'y', 'K / (1 + j*w*T)'], ['y', 'a', '-H'], ['a', 'a', 'L']]);
+  // Loop gain of exactly 1 everywhere: I - A is singular at every point
+  const singular = graphOf([['x', 'a', 'G'], ['a', 'a', '1'], ['a', 'y', 'K']]);
+
+  it('agrees with the transfer function from Mason\'s rule', () => {
+    const tf = sfg.computeMasons(graph, 'x', 'y');
+    const report = verify.verifyTransferFunction(graph, 'x', 'y', tf, {samples: 8});
+    assert.strictEqual(report.agree, true);
+    assert.strictEqual(report.verified, true);
+    assert.strictEqual(report.checked, 8);
+    assert.deepStrictEqual(report.mismatches, []);
+    report.points.forEach(p => assert.ok(p.error < 1e-9));
+  });
+
+  it('reports the points where a wrong transfer function differs', () => {
+    // the right denominator is (1 + j*w*T) * (1 - L) + K*H
+    const wrong = {n: 'G*K', d: '(1 + j*w*T) * (1 - L) - K*H'};
+    const report = verify.verifyTransferFunction(graph, 'x', 'y', wrong, {params: {L: 0.5}});
+    assert.strictEqual(report.agree, false);
+    assert.strictEqual(report.verified, true);
+    assert.strictEqual(report.mismatches.length, report.checked);
+    report.points.forEach(p => assert.strictEqual(p.params.L, 0.5));
+  });
+
+  it('does not claim agreement when no point could be checked', () => {
+    const report = verify.verifyTransferFunction(singular, 'x', 'y', {n: 'G*K', d: '0'});
+    assert.strictEqual(report.checked, 0);
+    assert.strictEqual(report.skipped, 5);
+    assert.strictEqual(report.verified, false);
+    assert.strictEqual(report.agree, false);
+  });
+
+  it('draws the same points for the same seed', () => {
+    const tf = sfg.computeMasons(graph, 'x', 'y');
+    const points = seed => verify.verifyTransferFunction(graph, 'x', 'y', tf, {seed}).points.map(p => p.w);
+    assert.deepStrictEqual(points(7), points(7));
+    assert.notDeepStrictEqual(points(7), points(8));
+  });
+
+  describe('computeMasons with verify', () => {
+    it('attaches the report', () => {
+      const tf = sfg.computeMasons(graph, 'x', 'y', {verify: {samples: 3}});
+      assert.strictEqual(tf.verification.agree, true);
+      assert.strictEqual(tf.verification.checked, 3);
+    });
+
+    it('throws when the transfer function cannot be verified', () => {
+      assert.throws(() => sfg.computeMasons(singular, 'x', 'y', {verify: true}), (e) => {
+        assert.ok(e instanceof errors.VerificationError);
+        assert.ok(e.message.includes('could not be verified'), e.message);
+        assert.strictEqual(e.verification.verified, false);
+        return true;
+      });
+    });
+  });
+});
@@ -0,0 +1,332 @@
+const math = require('mathjs');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const m1helper = require('./mason.js');
+const errors = require('./errors.js');
+const frequency = require('./frequency.js');
+const rational = require('./rational.js');
+const poles = require('./poles.js');
+const poly = require('./polynomial.js');
+
+/**
+ * Time-domain responses of a transfer function.
+ *
+ * H(s) = N(s) / D(s) (see rational.js) is realized in controllable canonical
+ * state-space form
+ *
+ *   x' = A x + B u,  y = C x + D u
+ *
+ * with A the companion matrix of the monic D(s), and integrated with the
+ * classical fourth-order Runge-Kutta method. The step size is chosen from the
+ * fastest pole, with as many sub-steps between two output times as needed.
+ *
+ * The impulse response starts from x(0+) = B; the D delta(t) part of a
+ * biproper H is left out of the samples.
+ */
+
+// Default limits for the rise time (fraction of the final value) and the settling band
+const RISE_LOW = 0.1;
+const RISE_HIGH = 0.9;
+const SETTLING_BAND = 0.02;
+// Largest step, as a fraction of the time constant of the fastest pole
+const STEP_FRACTION = 0.1;
+const MAX_STEPS = 1e6;
+// Poles faster than this (rad/s) are out of reach of double-precision time steps; they are
+// typically rounding residue in the leading coefficient of the denominator
+const MAX_POLE_FREQUENCY = 1e15;
+// Largest ratio of the fastest to the slowest pole for which a time grid is usable
+const MAX_POLE_SPREAD = 1e12;
+
+/**
+ * Controllable canonical realization of a proper transfer function
+ *
+ * @param target - rational function {num, den} (scaled to a monic denominator), transfer function {n, d},
+ *                 or SignalFlowGraph (or list of node objects) with options.start and options.end
+ * @param options - start, end: nodes of the transfer function when target is a graph;
+ *                  params: values of the symbols other than s, w and j
+ * @returns {{A: [[number]], B: [number], C: [number], D: number, order, rational}}
+ * @throws EvaluationError if the transfer function is improper or has complex coefficients
+ */
+function toStateSpace(target, options = {}) {
+  const r = rationalOf(target, options);
+  if (!r.num.concat(r.den).every(c => typeof c === 'number'))
+    throw new errors.EvaluationError('Transfer function has complex coefficients and no real state-space realization');
+  const n = r.den.length - 1;
+  if (r.num.length - 1 > n)
+    throw new errors.EvaluationError(`Transfer function is improper (numerator degree ${r.num.length - 1} > denominator degree ${n})`);
+
+  // Ascending coefficients, numerator padded to the order of the denominator
+  const a = r.den.slice().reverse();
+  let b = r.num.slice().reverse();
+  while (b.length < n + 1)
+    b.push(0);
+  const D = b[n];
+
+  let A = [];
+  for (let i = 0; i < n; i++) {
+    let row = new Array(n).fill(0);
+    if (i < n - 1)
+      row[i + 1] = 1;
+    else
+      a.slice(0, n).forEach((c, k) => {
+        row[k] = -c;
+      });
+    A.push(row);
+  }
+  const B = new Array(n).fill(0);
+  if (n)
+    B[n - 1] = 1;
+  const C = b.slice(0, n).map((c, k) => c - D * a[k]);
+  return {A, B, C, D, order: n, rational: r};
+}
+
+/**
+ * Step response (unit step input)
+ *
+ * @param target - see toStateSpace
+ * @param options - start, end, params: see toStateSpace
+ *                  times: output times, or tStop (default from the slowest pole) and points (default 500)
+ *                  settlingBand: relative band of the settling time (default 0.02)
+ * @returns {{times, values, metrics: {steadyState, riseTime, overshoot, peak, peakTime, settlingTime}}}
+ *   see responseMetrics
+ */
+function stepResponse(target, options = {}) {
+  return simulateResponse(target, () => 1, options);
+}
+
+/**
+ * Impulse response
+ *
+ * @param target - see toStateSpace
+ * @param options - see stepResponse
+ * @returns {{times, values, metrics: {steadyState}}} steadyState is 0 for a stable system, null otherwise
+ */
+function impulseResponse(target, options = {}) {
+  const system = toStateSpace(target, options);
+  const times = timeGrid(system, options);
+  const values = integrate(system, () => 0, times, system.B.slice());
+  const stable = isStable(system);
+  return {times, values, metrics: {steadyState: stable ? 0 : null}};
+}
+
+/**
+ * Response to an arbitrary input, starting from rest
+ *
+ * @param target - see toStateSpace
+ * @param input - function t -> u(t), or list of samples of u at the output times
+ *                (linearly interpolated between them)
+ * @param options - see stepResponse
+ * @returns {{times, values, metrics}} see responseMetrics; for a stable system whose input
+ *   is the same at the last two times the steady state is that input times the DC gain,
+ *   otherwise it is the last sample
+ */
+function simulateResponse(target, input, options = {}) {
+  const system = toStateSpace(target, options);
+  const times = timeGrid(system, options);
+  const u = typeof input === 'function' ? input : interpolate(times, input);
+  if (typeof input !== 'function' && input.length !== times.length)
+    throw new errors.SfgError(`Input has ${input.length} samples for ${times.length} output times`);
+
+  const values = integrate(system, u, times, new Array(system.order).fill(0));
+
+  // A settled input (the same value at the last two times) gives the final value theorem
+  const last = times[times.length - 1];
+  const uFinal = u(last);
+  let steadyState = values[values.length - 1];
+  if (isStable(system) && times.length > 1 && u(times[times.length - 2]) === uFinal) {
+    const dc = rational.evaluateAt(system.rational, 0);
+    steadyState = uFinal === 0 ? 0 : dc.re * uFinal;
+  }
+  return {times, values, metrics: responseMetrics(times, values, steadyState, options)};
+}
+
+/**
+ * Rise time (10% to 90% of the final value), overshoot (percent above the final
+ * value), peak, peak time and settling time (when the response last enters the
+ * band around the final value)
+ *
+ * @param times
+ * @param values
+ * @param steadyState - final value
+ * @param options - settlingBand: relative width of the band (default 0.02)
+ * @returns {{steadyState, riseTime, overshoot, peak, peakTime, settlingTime}} a metric
+ *   that cannot be determined from the samples is null
+ */
+function responseMetrics(times, values, steadyState, options = {}) {
+  const band = options.settlingBand || SETTLING_BAND;
+  let metrics = {steadyState, riseTime: null, overshoot: null, peak: null, peakTime: null, settlingTime: null};
+  if (steadyState === null || steadyState === 0 || !isFinite(steadyState))
+    return metrics;
+
+  // Work on the response normalized to a final value of 1
+  const y = values.map(v => v / steadyState);
+  let peak = 0;
+  y.forEach((v, i) => {
+    if (v > y[peak])
+      peak = i;
+  });
+  metrics.peak = values[peak];
+  metrics.peakTime = times[peak];
+  metrics.overshoot = Math.max(0, (y[peak] - 1) * 100);
+
+  const low = crossing(times, y, RISE_LOW);
+  const high = crossing(times, y, RISE_HIGH);
+  if (low !== null && high !== null)
+    metrics.riseTime = high - low;
+
+  let outside = -1;
+  y.forEach((v, i) => {
+    if (Math.abs(v - 1) > band)
+      outside = i;
+  });
+  if (outside === -1)
+    metrics.settlingTime = times[0];
+  else if (outside < y.length - 1) {
+    // Interpolate where the response enters the band for the last time
+    const edge = y[outside] > 1 ? 1 + band : 1 - band;
+    metrics.settlingTime = interpolateCrossing(times, y, outside, edge);
+  }
+  return metrics;
+}
+
+function rationalOf(target, options) {
+  if (target instanceof SignalFlowGraph || Array.isArray(target)) {
+    if (options.start === undefined || options.end === undefined)
+      throw new errors.SfgError('A time response of a graph needs options.start and options.end');
+    const gain = m1helper.calculateNodeGain(options.start, options.end, SignalFlowGraph.from(target));
+    return rational.toRational(gain, options.params, options);
+  }
+  return target.num && target.den ? monic(target) : rational.toRational(target, options.params, options);
+}
+
+/**
+ * Scale a caller-supplied {num, den} so that the denominator is monic, as the companion form needs
+ */
+function monic(r) {
+  const den = poly.fromCoefficients(r.den);
+  if (poly.isZero(den))
+    throw new errors.EvaluationError('Denominator is zero');
+  const factor = math.divide(1, den[den.length - 1]);
+  return {
+    num: poly.toCoefficients(poly.scale(poly.fromCoefficients(r.num), factor)),
+    den: poly.toCoefficients(poly.scale(den, factor))
+  };
+}
+
+function isStable(system) {
+  return poles.polesZeros({num: [1], den: system.rational.den}).stable;
+}
+
+/**
+ * @returns poles of the system (see polesZeros)
+ * @throws EvaluationError if the pole magnitudes span a range no time grid can resolve
+ */
+function systemPoles(system) {
+  const list = poles.polesZeros({num: [1], den: system.rational.den}).poles;
+  const frequencies = list.map(p => p.naturalFrequency).filter(f => f > 0);
+  if (!frequencies.length)
+    return list;
+  const fastest = Math.max(...frequencies);
+  const slowest = Math.min(...frequencies);
+  if (fastest > MAX_POLE_FREQUENCY || fastest / slowest > MAX_POLE_SPREAD)
+    throw new errors.EvaluationError(`Poles span ${slowest.toPrecision(3)} to ${fastest.toPrecision(3)} rad/s, `
+      + 'too wide a range for a time response (check the denominator for coefficients that should cancel)',
+    {slowest, fastest});
+  return list;
+}
+
+/**
+ * @returns output times - options.times, or points (default 500) from 0 to tStop, where
+ *   tStop defaults to 8 time constants of the slowest pole
+ */
+function timeGrid(system, options) {
+  if (options.times)
+    return options.times;
+  let tStop = options.tStop;
+  if (tStop === undefined) {
+    const decay = systemPoles(system)
+      .map(p => Math.abs(p.re))
+      .filter(re => re > 0);
+    tStop = decay.length ? 8 / Math.min(...decay) : 10;
+  }
+  return frequency.frequencyGrid({wStart: 0, wStop: tStop, points: options.points || 500, scale: 'linear'});
+}
+
+/**
+ * RK4 integration of the state equation from x0 at times[0]
+ *
+ * @returns list of the outputs y at times
+ */
+function integrate(system, u, times, x0) {
+  const {A, B, C, D, order} = system;
+  const output = (x, t) => C.reduce((sum, c, k) => sum + c * x[k], 0) + D * u(t);
+  if (!order)
+    return times.map(t => D * u(t));
+
+  const fastest = Math.max(...systemPoles(system).map(p => p.naturalFrequency));
+  const hMax = fastest > 0 ? STEP_FRACTION / fastest : Infinity;
+  const derivative = (x, t) => A.map((row, i) => row.reduce((sum, a, k) => sum + a * x[k], 0) + B[i] * u(t));
+  const axpy = (x, h, dx) => x.map((v, k) => v + h * dx[k]);
+
+  let x = x0;
+  let values = [output(x, times[0])];
+  let total = 0;
+  for (let i = 1; i < times.length; i++) {
+    const dt = times[i] - times[i - 1];
+    const substeps = Math.max(1, Math.ceil(dt / hMax));
+    total += substeps;
+    if (total > MAX_STEPS)
+      throw new errors.EvaluationError(`Time response needs more than ${MAX_STEPS} integration steps (the poles span too wide a range for the time grid)`);
+    const h = dt / substeps;
+    let t = times[i - 1];
+    for (let k = 0; k < substeps; k++) {
+      const k1 = derivative(x, t);
+      const k2 = derivative(axpy(x, h / 2, k1), t + h / 2);
+      const k3 = derivative(axpy(x, h / 2, k2), t + h / 2);
+      const k4 = derivative(axpy(x, h, k3), t + h);
+      x = x.map((v, n) => v + h / 6 * (k1[n] + 2 * k2[n] + 2 * k3[n] + k4[n]));
+      t += h;
+    }
+    values.push(output(x, times[i]));
+  }
+  return values;
+}
+
+/**
+ * @returns function t -> linear interpolation of samples at times (held constant outside)
+ */
+function interpolate(times, samples) {
+  return (t) => {
+    if (t <= times[0])
+      return samples[0];
+    for (let i = 1; i < times.length; i++) {
+      if (t <= times[i])
+        return samples[i - 1] + (samples[i] - samples[i - 1]) * (t - times[i - 1]) / (times[i] - times[i - 1]);
+    }
+    return samples[samples.length - 1];
+  };
+}
+
+/**
+ * @returns first time where y reaches level (interpolated), null if it never does
+ */
+function crossing(times, y, level) {
+  if (y[0] >= level)
+    return times[0];
+  for (let i = 1; i < y.length; i++) {
+    if (y[i] >= level)
+      return interpolateCrossing(times, y, i - 1, level);
+  }
+  return null;
+}
+
+function interpolateCrossing(times, y, i, level) {
+  const f = (level - y[i]) / (y[i + 1] - y[i]);
+  return times[i] + f * (times[i + 1] - times[i]);
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  toStateSpace, stepResponse, impulseResponse, simulateResponse, responseMetrics
+};
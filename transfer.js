@@ -0,0 +1,101 @@
+const algebra = require('./rwalgebrajs/RWalgebra.js');
+const Expression = algebra.Expression;
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const m1helper = require('./mason.js');
+const errors = require('./errors.js');
+
+/**
+ * Transfer functions between several inputs and outputs at once.
+ *
+ * Every transfer function from a source node shares the determinant of the
+ * graph, so it is computed once and only the numerators are found per pair:
+ *
+ *   H[i][j] = N(inputs[j] -> outputs[i]) / delta
+ *
+ * The response of every node to all sources together then follows by
+ * superposition, weighting each source by its node value:
+ *
+ *   x = (sum over sources s of value_s * N(s -> x)) / delta
+ */
+
+/**
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param inputs - list of input node ids (default: every source node)
+ * @param outputs - list of output node ids (default: every other node)
+ * @returns {{inputs, outputs, delta, matrix: [[{n, d}]]}} matrix[i][j] is the transfer
+ *   function from inputs[j] to outputs[i] (n is 0 when there is no forward path).
+ *   Inputs that are not source nodes are handled as in calculateNodeGain and get their own d.
+ * @throws UnknownNodeError if an input or output is not in the graph
+ */
+function computeTransferMatrix(nodes, inputs, outputs) {
+  const graph = SignalFlowGraph.from(nodes);
+  inputs = inputs || m1helper.findSourceNodes(graph);
+  outputs = outputs || graph.nodeIds().filter(id => !inputs.includes(id));
+
+  inputs.concat(outputs).forEach((id) => {
+    if (!graph.hasNode(id))
+      throw new errors.UnknownNodeError(id);
+  });
+
+  const delta = m1helper.calculateDelta(graph);
+
+  const matrix = outputs.map(output => inputs.map((input) => {
+    if (m1helper.isSourceNode(graph, input))
+      return {n: m1helper.numeratorOrZero(input, output, graph), d: delta};
+
+    try {
+      const gain = m1helper.calculateNodeGain(input, output, graph);
+      return {n: gain.n, d: gain.d};
+    } catch (e) {
+      if (e instanceof errors.NoForwardPathError)
+        return {n: new Expression(0), d: new Expression(1)};
+      throw e;
+    }
+  }));
+
+  return {inputs, outputs, delta, matrix};
+}
+
+/**
+ * Total response of every node to all the source nodes that have a value,
+ * e.g. the y1<i>/y2<i> constants created by computeSFG
+ *
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param targets - list of node ids to solve for (default: every node)
+ * @returns {{sources: [node ids], delta, values: Object.<string, {n, d}>}}
+ *   values maps each node id to its value as a fraction over delta
+ */
+function solveNodeValues(nodes, targets) {
+  const graph = SignalFlowGraph.from(nodes);
+  targets = targets || graph.nodeIds();
+  targets.forEach((id) => {
+    if (!graph.hasNode(id))
+      throw new errors.UnknownNodeError(id);
+  });
+
+  const sources = m1helper.findSourceNodes(graph).filter((id) => {
+    const value = graph.getNode(id).value;
+    return value !== null && value !== undefined && value !== '';
+  });
+  const delta = m1helper.calculateDelta(graph);
+
+  let values = {};
+  targets.forEach((target) => {
+    let n = new Expression(0);
+    sources.forEach((source) => {
+      const numer = m1helper.numeratorOrZero(source, target, graph);
+      if (numer.toString().trim() !== '0')
+        n = n.add(numer.multiply(`(${graph.getNode(source).value})`));
+    });
+    values[target] = {n, d: delta};
+  });
+
+  return {sources, delta, values};
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  computeTransferMatrix, solveNodeValues
+};
@@ -0,0 +1,121 @@
+const math = require('mathjs');
+const SignalFlowGraph = require('./graph.js').SignalFlowGraph;
+const errors = require('./errors.js');
+const frequency = require('./frequency.js');
+const params = require('./params.js');
+const random = require('./random.js');
+
+/**
+ * Independent check of a transfer function computed with Mason's rule.
+ *
+ * The graph is a linear system x = A x + b, where A[i][k] is the sum of the
+ * weights of the edges from node k to node i. Driving the source node with a
+ * unit input (b = e_source) and solving (I - A) x = b at numeric parameter
+ * values and frequencies gives every node value directly, so end/start can be
+ * compared with n/d without going through loops and non-touching sets.
+ */
+
+/**
+ * @param nodes - SignalFlowGraph (or list of node objects)
+ * @param start - start node id
+ * @param end - end node id
+ * @param tf - object with n and d (Expression objects or strings), e.g. the result of computeMasons
+ * @param options - source: node driven by the unit input (default tf.source, or start)
+ *                  params: fixed symbol values; the other symbols get random values in [0.5, 2)
+ *                  samples (default 5): number of random parameter/frequency points
+ *                  wStart (default 1e-2), wStop (default 1e4): frequency range in rad/s
+ *                  tolerance (default 1e-6): relative tolerance
+ *                  seed: seed of the random number generator (default 1)
+ * @returns {{agree: boolean, verified: boolean, tolerance, checked, skipped, points: [{w, params, mason, direct, error}], mismatches: [...]}}
+ *   mason and direct are Complex values, error is the relative difference.
+ *   verified is false when every point had to be skipped - agree is then false as well,
+ *   since nothing was compared
+ * @throws UnknownNodeError if start, end or source is not in the graph
+ */
+function verifyTransferFunction(nodes, start, end, tf, options = {}) {
+  const graph = SignalFlowGraph.from(nodes);
+  const source = options.source || tf.source || start;
+  [start, end, source].forEach((id) => {
+    if (!graph.hasNode(id))
+      throw new errors.UnknownNodeError(id);
+  });
+
+  const tolerance = options.tolerance || 1e-6;
+  const samples = options.samples || 5;
+  const wStart = options.wStart || 1e-2;
+  const wStop = options.wStop || 1e4;
+  const next = random.mulberry32(options.seed !== undefined ? options.seed : 1);
+
+  const ids = graph.nodeIds();
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const edges = [...graph.edges.values()].filter(e => index.has(e.endNode));
+  const weights = edges.map(e => frequency.compileExpression(e.weight));
+  const n = frequency.compileExpression(tf.n);
+  const d = frequency.compileExpression(tf.d);
+
+  // Symbols that need a value: everything in the weights and in n/d except w, j and s
+  const symbols = params.freeSymbols(edges.map(e => e.weight).concat([tf.n, tf.d]))
+    .filter(name => options.params === undefined || !(name in options.params));
+
+  let result = {agree: true, verified: false, tolerance, checked: 0, skipped: 0, points: [], mismatches: []};
+
+  for (let k = 0; k < samples; k++) {
+    let values = Object.assign({}, options.params);
+    symbols.forEach((name) => {
+      values[name] = 0.5 + 1.5 * next();
+    });
+    const w = wStart * Math.pow(wStop / wStart, next());
+    const scope = Object.assign({}, values, {w, j: math.complex(0, 1), s: math.complex(0, w)});
+
+    // (I - A) x = e_source
+    let M = ids.map((_, i) => ids.map((_, c) => math.complex(i === c ? 1 : 0, 0)));
+    edges.forEach((e, i) => {
+      const row = index.get(e.endNode), col = index.get(e.startNode);
+      M[row][col] = math.subtract(M[row][col], weights[i](scope));
+    });
+    let b = ids.map(id => [id === source ? 1 : 0]);
+
+    let direct, mason;
+    try {
+      const x = math.lusolve(M, b).map(r => math.complex(r[0]));
+      direct = math.divide(x[index.get(end)], x[index.get(start)]);
+      mason = math.divide(n(scope), d(scope));
+    } catch (e) {
+      if (e instanceof errors.EvaluationError)
+        throw e;
+      // Singular system (e.g. a loop gain of exactly 1 at this point)
+      result.skipped++;
+      continue;
+    }
+    if (!isFiniteComplex(direct) || !isFiniteComplex(mason)) {
+      result.skipped++;
+      continue;
+    }
+
+    const scale = Math.max(math.abs(direct), math.abs(mason));
+    const error = scale === 0 ? 0 : math.abs(math.subtract(direct, mason)) / scale;
+    const point = {w, params: values, mason, direct, error};
+    result.points.push(point);
+    result.checked++;
+    if (error > tolerance) {
+      result.mismatches.push(point);
+      result.agree = false;
+    }
+  }
+
+  result.verified = result.checked > 0;
+  if (!result.verified)
+    result.agree = false;
+  return result;
+}
+
+function isFiniteComplex(z) {
+  return isFinite(z.re) && isFinite(z.im);
+}
+
+/*
+ * Export helper functions
+ */
+module.exports = {
+  verifyTransferFunction
+};